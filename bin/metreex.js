@@ -0,0 +1,252 @@
+#!/usr/bin/env node
+/* Command-line interface of metreex
+ *
+ * Usage:
+ *   node bin/metreex.js run --suite suite.js --input Trees/ [--out results.csv]
+ *
+ * The suite is a Node.js module that exports an array of NodeMetric objects, or
+ * a function that receives the metreex library and returns such an array, or a
+ * JSON file with an array of metric definitions (see NodeMetric.fromDefinition).
+ * Every treebank file of the input (a directory, a single file, or a collection
+ * manifest) is loaded and the metrics are applied with TreebankCollection.apply.
+ * The results are written as CSV (or TSV, JSON, or ARFF with --format) with one
+ * row per sentence and one column per metric.
+ *
+ *   node bin/metreex.js validate --input Trees/ [--json] [--out report.txt]
+ *
+ * checks the treebank files with TreebankFile.validate and lists the problems, and
+ *
+ *   node bin/metreex.js compile --input collection.json --out corpus.json
+ *
+ * writes a corpus file that can be given as --input or --cache instead.
+ *
+ * Copyright (c) 2015, Eleni Bozia. See js/metreex-1.2.js for the license.
+ */
+
+var fs=require('fs');
+var path=require('path');
+var metreex=require('../js/metreex-node.js');
+
+var USAGE=[
+	'Usage: node bin/metreex.js <command> [options]',
+	'',
+	'Commands:',
+	'  run       Apply a metric suite to a directory of treebanks and write CSV.',
+	'            --suite <file>   A module that exports an array of NodeMetric objects, or a JSON file',
+	'                             with an array of metric definitions.',
+	'            --input <path>   A directory of treebank files, a single file, a manifest, or a corpus (.json).',
+	'            --out <file>     The file to write (default: standard output).',
+	'            --format <type>  The format of the results: csv (default), tsv, json, or arff.',
+	'            --cache <file>   A corpus file used as a cache; it is rebuilt when a treebank file changes.',
+	'            --skip-errors    Skip the treebank files that cannot be loaded.',
+	'            --workers [n]    Compute the metrics in n worker threads (default: one per CPU).',
+	'            --roots <policy> How to treat sentences with several top-level words: "largest"',
+	'                             keeps the largest subtree (default), "virtual" adds a root above them.',
+	'            --verbose        Print the loading progress to standard error.',
+	'  compile   Compile treebank files into a corpus file, which loads much faster.',
+	'            --input <path>   A directory of treebank files, a single file, or a manifest (.json).',
+	'            --out <file>     The corpus file to write.',
+	'  validate  Check treebank files for structural and annotation problems.',
+	'            --input <path>   A directory of treebank files, a single file, a manifest, or a corpus (.json).',
+	'            --cache <file>   A corpus file used as a cache, as in run.',
+	'            --out <file>     The report to write (default: standard output).',
+	'            --json           Write the report as JSON instead of one line per problem.',
+	'            The exit code is 1 if any problem is found.',
+	'  help      Print this message.'
+].join('\n');
+
+function parse_arguments(argv)
+{
+	var args={command:argv[0],options:{}};
+	for(var i=1;i<argv.length;i++)
+	{
+		var a=argv[i];
+		if(a.substring(0,2)!='--') throw new Error('Unexpected argument "'+a+'".');
+		var name=a.substring(2);
+		var eq=name.indexOf('=');
+		if(eq>=0) args.options[name.substring(0,eq)]=name.substring(eq+1);
+		else if(i+1<argv.length && argv[i+1].substring(0,2)!='--') args.options[name]=argv[++i];
+		else args.options[name]=true;
+	}
+	return args;
+}
+
+function require_option(options,name)
+{
+	if(typeof options[name]!=='string') throw new Error('The option --'+name+' is required.');
+	return options[name];
+}
+
+function is_definition_file(file)
+{
+	return /\.json$/i.test(file);
+}
+
+function load_suite(file)
+{
+	if(is_definition_file(file))
+	{
+		var definitions=JSON.parse(fs.readFileSync(file,'utf8'));
+		if(!Array.isArray(definitions) || definitions.length==0)
+			throw new Error('The suite '+file+' must contain a non-empty array of metric definitions.');
+		return definitions.map(function(d){return metreex.NodeMetric.fromDefinition(d);});
+	}
+	var suite=require(path.resolve(file));
+	if(typeof suite==='function') suite=suite(metreex);
+	if(suite instanceof metreex.NodeMetric) suite=[suite];
+	if(suite instanceof metreex.MetricSuite) suite=suite.metrics;
+	if(!Array.isArray(suite) || suite.length==0)
+		throw new Error('The suite '+file+' must export a non-empty array of NodeMetric objects.');
+	return suite;
+}
+
+function load_input(collection,input,options)
+{
+	if(/\.json$/i.test(input)) return collection.loadManifest(input,options);
+	var files=[input];
+	if(fs.statSync(input).isDirectory()) files=metreex.listDirectory(input);
+	if(files.length==0) throw new Error('No treebank files found in '+input+'.');
+	return collection.load(files,options);
+}
+
+var FORMATS={
+	csv:function(table){return table.toCSV();},
+	tsv:function(table){return table.toTSV();},
+	json:function(table){return JSON.stringify(table,null,1)+'\n';},
+	arff:function(table){return table.toARFF();}
+};
+
+function to_table(collection,metrics,results)
+{
+	return collection.toTable(results,metrics,{
+		language:function(t){return t.getLanguage();},
+		annotators:function(t){return t.getAnnotators().map(function(a){return a.short;}).filter(function(a){return a!='';}).join(';');}
+	});
+}
+
+function to_csv(collection,metrics,results)
+{
+	return to_table(collection,metrics,results).toCSV();
+}
+
+function run(options)
+{
+	var suite=require_option(options,'suite');
+	var metrics=load_suite(suite);
+	var input=require_option(options,'input');
+	var format=typeof options.format==='string'?options.format.toLowerCase():'csv';
+	if(!FORMATS.hasOwnProperty(format)) throw new Error('Unknown format "'+options.format+'"; it must be csv, tsv, json, or arff.');
+	var workers=0;
+	if(options.workers===true) workers=metreex.TreebankCollection.WORKERS;
+	else if(typeof options.workers==='string')
+	{
+		workers=parseInt(options.workers);
+		if(!(workers>0)) throw new Error('The option --workers must be a positive number.');
+	}
+
+	output.println=options.verbose?function(txt){process.stderr.write(txt+'\n');}:function(){};
+
+	var load_options={skipErrors:options['skip-errors']===true};
+	if(typeof options.roots==='string') load_options.rootPolicy=options.roots;
+	if(typeof options.cache==='string') load_options.cache=options.cache;
+
+	var c=new metreex.TreebankCollection();
+	return load_input(c,input,load_options).then(function(){
+		for(var i=0;i<c.failed.length;i++)
+			process.stderr.write('metreex: skipped: '+c.failed[i].error.message+'\n');
+		//definitions are sent to the workers with the metrics, other suites are loaded by each worker
+		if(workers>0) return c.applyParallel(metrics,{workers:workers,suite:is_definition_file(suite)?null:path.resolve(suite)});
+		return c.apply(metrics);
+	}).then(function(results){
+		var txt=FORMATS[format](to_table(c,metrics,results));
+		if(typeof options.out==='string') fs.writeFileSync(options.out,txt);
+		else process.stdout.write(txt);
+	});
+}
+
+function format_report(reports,failed,dropped)
+{
+	var lines=new Array();
+	var counts={};
+	var total=failed.length;
+	for(var i=0;i<failed.length;i++)
+		lines.push(failed[i].id+': load-error: '+failed[i].error.message);
+	for(var i=0;i<reports.length;i++)
+	{
+		var r=reports[i];
+		for(var j=0;j<r.problems.length;j++)
+		{
+			var p=r.problems[j];
+			lines.push(r.file+':'+p.sentence+(p.word!==''?':'+p.word:'')+': '+p.type+': '+p.message);
+		}
+		for(var type in r.counts) counts[type]=(counts[type]||0)+r.counts[type];
+		total+=r.problems.length;
+	}
+	lines.push(total+' problem'+(total==1?'':'s')+' in '+(reports.length+failed.length)+' files');
+	for(var type in counts) lines.push('  '+type+': '+counts[type]);
+	lines.push('getSentence() drops '+dropped.nodes+' of '+dropped.total+' words in '+dropped.sentences+' sentences (use --roots virtual with run to keep them)');
+	return lines.join('\n')+'\n';
+}
+
+function validate(options)
+{
+	var input=require_option(options,'input');
+	output.println=function(){};
+
+	var load_options={skipErrors:true};
+	if(typeof options.cache==='string') load_options.cache=options.cache;
+
+	var c=new metreex.TreebankCollection();
+	return load_input(c,input,load_options).then(function(){
+		var reports=c.validate();
+		var txt;
+		if(options.json===true)
+		{
+			var failed=c.failed.map(function(f){return {file:f.id,error:f.error.message};});
+			txt=JSON.stringify({files:reports,failed:failed,dropped:c.countDroppedNodes(metreex.TreebankFile.LARGEST_ROOT)},null,2)+'\n';
+		}
+		else txt=format_report(reports,c.failed,c.countDroppedNodes(metreex.TreebankFile.LARGEST_ROOT));
+		if(typeof options.out==='string') fs.writeFileSync(options.out,txt);
+		else process.stdout.write(txt);
+		var problems=c.failed.length;
+		for(var i=0;i<reports.length;i++) problems+=reports[i].problems.length;
+		if(problems>0) process.exitCode=1;
+	});
+}
+
+function compile(options)
+{
+	var input=require_option(options,'input');
+	var out=require_option(options,'out');
+	output.println=function(){};
+
+	var c=new metreex.TreebankCollection();
+	return load_input(c,input,{}).then(function(){
+		fs.writeFileSync(out,JSON.stringify(c.toCorpus()));
+		process.stderr.write('metreex: compiled '+c.treebank.length+' files into '+out+'\n');
+	});
+}
+
+function main(argv)
+{
+	var args=parse_arguments(argv);
+	if(args.command=='run') return run(args.options);
+	if(args.command=='validate') return validate(args.options);
+	if(args.command=='compile') return compile(args.options);
+	if(typeof args.command==='undefined' || args.command=='help')
+	{
+		console.log(USAGE);
+		return Promise.resolve();
+	}
+	throw new Error('Unknown command "'+args.command+'".\n\n'+USAGE);
+}
+
+if(require.main===module)
+{
+	new Promise(function(resolve){resolve(main(process.argv.slice(2)));}).catch(function(e){
+		process.stderr.write('metreex: '+e.message+'\n');
+		process.exitCode=1;
+	});
+}
+
+module.exports={main:main,toCSV:to_csv,toTable:to_table};
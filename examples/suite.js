@@ -0,0 +1,43 @@
+/* An example metric suite for the command-line interface:
+ *   node bin/metreex.js run --suite examples/suite.js --input Trees/ --out results.csv
+ */
+module.exports=function(metreex)
+{
+	var NodeMetric=metreex.NodeMetric;
+	var metrics=new Array();
+	var m=null;
+
+	m=new NodeMetric('Number of nodes');
+	m.setDefaultWeights(NodeMetric.ROOT_ONE_OTHERS_ZERO);
+	m.metric=function(n)
+	{
+		return n.getNumOfNodes();
+	};
+	metrics.push(m);
+
+	m=new NodeMetric('Percentage of Leaves');
+	m.setDefaultWeights(NodeMetric.UNIFORM_SUM_TO_ONE);
+	m.metric=function(n)
+	{
+		return n.isLeaf();
+	};
+	metrics.push(m);
+
+	m=new NodeMetric('Height');
+	m.setDefaultWeights(NodeMetric.ROOT_ONE_OTHERS_ZERO);
+	m.metric=function(n)
+	{
+		return n.getHeight();
+	};
+	metrics.push(m);
+
+	m=new NodeMetric('Percentage of ATR');
+	m.setDefaultWeights(NodeMetric.UNIFORM_SUM_TO_ONE);
+	m.metric=function(n)
+	{
+		return n.getRelation()=='ATR';
+	};
+	metrics.push(m);
+
+	return metrics;
+};
@@ -47,6 +47,7 @@ The case of Attic Oratory", In <a href="../documents/CRH4_proceedings.pdf">Proce
 function NodeMetric(name)
 {
 	this.name=name;
+	this.base_relations=false;
 }
 
 
@@ -94,516 +95,1886 @@ NodeMetric.prototype.setDefaultWeights=function(type)
 			else return 0;
 		};
 	}
+	this._preset={weight:this.weight,call:['setDefaultWeights',type]};
 };
 
+NodeMetric.HAAR='haar';
+NodeMetric.DAUBECHIES4='db4';
+NodeMetric.RICKER='ricker';
+NodeMetric.LEGENDRE='legendre';
+NodeMetric.FOURIER='fourier';
+
 /**
- * This method sets a normalized Haar wavelet weight function to this metric. 
+ * This method sets a wavelet weight function to this metric, which weights the nodes by the position of their word in the sentence (see getId()). There are five families you can choose from:<br>
+ * NodeMetric.HAAR (the default): a Haar wavelet over the position divided by the number of nodes, normalized so that its values are 1/num and -1/num. The order -1 gives the scaling function. k must be between 0 and 2^n-1.<br>
+ * NodeMetric.DAUBECHIES4: a Daubechies wavelet with 4 coefficients, given by the periodized discrete wavelet transform (DWT) over the positions of the sentence (the order -1 gives the scaling function): if their number N is a power of two, the weights of order n and shift k are the row of the DWT matrix of the k-th of the 2^n coefficients of that order; otherwise the DWT of the largest power of two M&lt;N is used and each of its M values is spread over the one or two positions of the corresponding M-th part of the sentence (divided by the square root of their number). The order n requires 2^(n+1)&lt;=N; higher orders are 0. k must be between 0 and 2^n-1.<br>
+ * NodeMetric.RICKER: a Ricker (Mexican hat) wavelet centered in the k-th of 2^n equal parts of the sentence, with a width of a quarter of that part. k must be between 0 and 2^n-1.<br>
+ * NodeMetric.LEGENDRE: the discrete Legendre (Gram) polynomial of degree n over the positions of the sentence. k must be 0.<br>
+ * NodeMetric.FOURIER: the cosine (k=0) or the sine (k=1) with n periods over the sentence; it is 0 if n is more than half the number of positions.<br>
+ * The families other than Haar are evaluated at the positions 1 to N of the N words below the root and are normalized so that the sum of the squares of their values over these positions is 1. The Daubechies, Legendre, and Fourier families are orthonormal over the positions of a sentence of any length, while the sampled Ricker wavelets are only approximately orthogonal in long sentences (see NodeMetric.checkOrthonormality()). The Haar weights keep their values 1/num and -1/num, so they are not normalized in this sense.
  * @param n The order of the wavelet.
- * @param k The shift of the wavelet. k must be between 0 and 2^n-1.
+ * @param k The shift of the wavelet.
+ * @param family An optional family of wavelets. The default value is NodeMetric.HAAR.
  */
-NodeMetric.prototype.setWaveletWeights=function(n,k)
+NodeMetric.prototype.setWaveletWeights=function(n,k,family)
 {
-	var p=1;
-	for(var i=0;i<n;i++)p*=2;
-	if(n<0){p=0.5;k=0;}
-	
-	this.weight=function(node)
+	if(typeof family==='undefined' || family==NodeMetric.HAAR)
 	{
-		var num=node.getRoot().getNumOfNodes();
-		//if(node.getId()/num>1)console.log(node.getId()+' '+num+' '+node.getForm());
-		var t=p*node.getId()/num-k;
-		//console.log(t+' '+node.getId());
-		if(t>0 && t<=0.5) return 1/num;
-		else if(t>0.5 && t<=1) return -1/num;
-		else return 0;
-	};
+		var p=1;
+		for(var i=0;i<n;i++)p*=2;
+		if(n<0){p=0.5;k=0;}
+		
+		this.weight=function(node)
+		{
+			var num=node.getRoot().getNumOfNodes();
+			var t=p*node.getId()/num-k;
+			if(t>0 && t<=0.5) return 1/num;
+			else if(t>0.5 && t<=1) return -1/num;
+			else return 0;
+		};
+	}
+	else
+	{
+		var basis=wavelet_basis(family,n,k);
+		this.weight=function(node)
+		{
+			var x=node.getId();
+			var num=node.getRoot().getNumOfNodes()-1;
+			if(x<1 || x>num) return 0;
+			return basis(num)[x-1];
+		};
+	}
+	this._preset={weight:this.weight,call:typeof family==='undefined'?['setWaveletWeights',n,k]:['setWaveletWeights',n,k,family]};
 };
 
 /**
- * This method applies this metric to a given syntactically annotated sentence. It iteratively calculates the weighted metric for each node and returns the sum.
- * @param sentence An input sentence given as a TreebankSentence object.
- * @return number A number with the value calculated by applying this metric to a given sentence.
+ * This method sets a depth wavelet weight function to this metric, which weights the nodes by their generation depth in the tree instead of the position of their word. The depth is normalized so that it is 0 at the root and 1 at the deepest leaf (see getDepth() and getHeight()).<br>
+ * With the family NodeMetric.HAAR (the default), the weights are 1/num for the normalized depths t with 0&lt;=2^n*t-k&lt;0.5, -1/num for 0.5&lt;=2^n*t-k&lt;1 (including 1 for the last shift), and 0 otherwise, where num is the number of nodes; the order -1 gives 1/num for all nodes. With the other families (see setWaveletWeights()) the wavelet is evaluated at the levels 0 to h of a tree of height h and normalized over these levels, so all nodes at the same depth have the same weight.<br><br>
+ * <b>Example:</b> a metric with the relation ATR and setDepthWaveletWeights(0,0) is positive if the attributives are nearer to the top than to the bottom of the tree.
+ * @param n The order of the wavelet.
+ * @param k The shift of the wavelet. k must be between 0 and 2^n-1.
+ * @param family An optional family of wavelets. The default value is NodeMetric.HAAR.
  */
-NodeMetric.prototype.apply=function(sentence)
+NodeMetric.prototype.setDepthWaveletWeights=function(n,k,family)
 {
-	var value=this.weight(sentence);
-	if(value!=0) value*=this.metric(sentence);
-	var ch=sentence.getChildren();
-	for(var i=0;i<ch.length;i++)
+	if(typeof family==='undefined' || family==NodeMetric.HAAR)
 	{
-		value+=this.apply(ch[i]);
+		var p=1;
+		for(var i=0;i<n;i++)p*=2;
+		var last=k==p-1;
+
+		this.weight=function(node)
+		{
+			var num=node.getRoot().getNumOfNodes();
+			if(n<0) return 1/num;
+			var t=p*depth_fraction(node)-k;
+			if(t>=0 && t<0.5) return 1/num;
+			else if(t>=0.5 && (t<1 || (t==1 && last))) return -1/num;
+			else return 0;
+		};
 	}
-	return value;
+	else
+	{
+		var basis=wavelet_basis(family,n,k);
+		this.weight=function(node)
+		{
+			return basis(node.getRoot().getHeight()+1)[node.getDepth()];
+		};
+	}
+	this._preset={weight:this.weight,call:typeof family==='undefined'?['setDepthWaveletWeights',n,k]:['setDepthWaveletWeights',n,k,family]};
 };
 
 /**
- * This class defines and controls the structure of a syntactically annotated sentence. Object of this class are generated by the TreebankFile class when you load a particular treebank file formatted as an xml tree. It should be noted that in a syntactically annotated sentence each node is also a TreebankSentence element.
- * @param parent An optional input argument with the parent of the node to be constructed given as a TreebankSentence object.
+ * This method sets a depth band weight function to this metric, which selects the nodes whose normalized depth (0 at the root and 1 at the deepest leaf) is in a given band. The weight of each node in the band is 1 divided by the number of nodes of the sentence in the band, so the metric gives the proportion of the nodes of the band, and the weight of the other nodes is 0. A band includes its lower limit and excludes its upper limit, except for the upper limit 1, so adjacent bands do not overlap.<br><br>
+ * <b>Example:</b> setDepthBandWeights(0,0.5) and setDepthBandWeights(0.5,1) with a metric that tests the relation ATR give the percentages of attributives in the upper and in the lower half of the tree.
+ * @param from The lower limit of the band, between 0 and 1.
+ * @param to The upper limit of the band, between 0 and 1 and larger than from.
  */
-function TreebankSentence(parent)
+NodeMetric.prototype.setDepthBandWeights=function(from,to)
 {
-	this.parent=null;
-	this.sentence_id='';
-	this.file=null;
-	if(typeof parent!=='undefined') this.parent=parent;
-	if(this.parent==null)
-		this.root=this;
-	else this.root=this.parent.getRoot();
-	this.sentence_id=this.root.sentence_id;
-	this.file=this.root.file;
-	
-	this.num='';
-	this.xml=null;
-	
-	this.num_of_nodes=null;
+	if(!(from>=0 && to<=1 && from<to)) throw new Error('A depth band must have limits with 0<=from<to<=1.');
+	var key=from+','+to;
+	this.weight=function(node)
+	{
+		if(!in_depth_band(node,from,to)) return 0;
+		var root=node.getRoot();
+		var tree=root.tree;
+		if(!tree.depth_bands) tree.depth_bands={};
+		if(!tree.depth_bands.hasOwnProperty(key))
+		{
+			var count=0;
+			for(var i=root.index;i<root.index+tree.size[root.index];i++)
+				if(in_depth_band(tree.nodes[i],from,to)) count++;
+			tree.depth_bands[key]=count;
+		}
+		return 1/tree.depth_bands[key];
+	};
+	this._preset={weight:this.weight,call:['setDepthBandWeights',from,to]};
+};
+
+//the depth of a node divided by the height of its tree
+function depth_fraction(node)
+{
+	var h=node.getRoot().getHeight();
+	if(h==0) return 0;
+	return node.getDepth()/h;
+}
+
+function in_depth_band(node,from,to)
+{
+	var d=depth_fraction(node);
+	return d>=from && (d<to || (to==1 && d==1));
 }
 
 /**
- * This method returns the relation of this node with its parent node (for example "ATR").
- * @return string The relation of this node.
+ * This method checks whether a family of wavelet weights (see setWaveletWeights()) is orthonormal over the positions of a sentence with a given number of words, i.e. whether the sum of the products of the weights of two different wavelets over these positions is 0 and the sum of the squares of the weights of each wavelet is 1. All shifts of the given orders are checked (shifts 0 to 2^n-1 for the Haar, Daubechies, and Ricker families, 0 for Legendre, and 0 and 1 for Fourier). Wavelets that are 0 at all positions are left out of the check and listed in the field empty.<br><br>
+ * <b>Example:</b> NodeMetric.checkOrthonormality(NodeMetric.LEGENDRE,17).orthonormal is true.
+ * @param family The family of wavelets, for example NodeMetric.FOURIER.
+ * @param length The number of words of the sentence.
+ * @param orders An optional array with the orders to check. The default value is [0,1,2].
+ * @param tolerance An optional tolerance of the sums. The default value is 1e-9.
+ * @return Object A report with the fields family, length, functions (an array with the order and the shift of each wavelet that was checked), empty (the same for the wavelets that are 0 everywhere), maxInnerProduct (the largest absolute sum of products of two different wavelets), maxNormError (the largest difference of a sum of squares from 1), orthogonal, normalized, and orthonormal (true if the corresponding sums are within the tolerance).
  */
-TreebankSentence.prototype.getRelation=function()
+NodeMetric.checkOrthonormality=function(family,length,orders,tolerance)
 {
-	return this.xml.getAttribute('relation');
+	var eps=typeof tolerance==='undefined'?1e-9:tolerance;
+	var o=orders||[0,1,2];
+	var root={getNumOfNodes:function(){return length+1;}};
+	var report={family:family,length:length,functions:new Array(),empty:new Array(),maxInnerProduct:0,maxNormError:0};
+	var vectors=new Array();
+	for(var i=0;i<o.length;i++)
+	{
+		var shifts=wavelet_shifts(family,o[i]);
+		for(var j=0;j<shifts.length;j++)
+		{
+			var m=new NodeMetric('');
+			m.setWaveletWeights(o[i],shifts[j],family==NodeMetric.HAAR?undefined:family);
+			var v=new Array(length);
+			var zero=true;
+			for(var x=1;x<=length;x++)
+			{
+				v[x-1]=m.weight({getId:function(){return x;},getRoot:function(){return root;}});
+				if(v[x-1]!=0) zero=false;
+			}
+			if(zero) report.empty.push({order:o[i],shift:shifts[j]});
+			else
+			{
+				report.functions.push({order:o[i],shift:shifts[j]});
+				vectors.push(v);
+			}
+		}
+	}
+	for(var a=0;a<vectors.length;a++)
+		for(var b=a;b<vectors.length;b++)
+		{
+			var sum=0;
+			for(var x=0;x<length;x++) sum+=vectors[a][x]*vectors[b][x];
+			if(a==b) report.maxNormError=Math.max(report.maxNormError,Math.abs(sum-1));
+			else report.maxInnerProduct=Math.max(report.maxInnerProduct,Math.abs(sum));
+		}
+	report.orthogonal=report.maxInnerProduct<=eps;
+	report.normalized=report.maxNormError<=eps;
+	report.orthonormal=report.orthogonal && report.normalized;
+	return report;
 };
 
+//the shifts of the wavelets of a family with a given order
+function wavelet_shifts(family,n)
+{
+	if(family==NodeMetric.LEGENDRE) return [0];
+	if(family==NodeMetric.FOURIER) return [0,1];
+	var shifts=[0];
+	for(var k=1;k<Math.pow(2,n);k++) shifts.push(k);
+	return shifts;
+}
+
+//the lowest order of a family of wavelets: -1 (the scaling function) for the Haar and Daubechies families, 0 for the others
+function wavelet_min_order(family)
+{
+	return family==NodeMetric.HAAR || family==NodeMetric.DAUBECHIES4?-1:0;
+}
+
+function check_wavelet_order(family,n)
+{
+	if([NodeMetric.HAAR,NodeMetric.DAUBECHIES4,NodeMetric.RICKER,NodeMetric.LEGENDRE,NodeMetric.FOURIER].indexOf(family)<0)
+		throw new Error('Unknown wavelet family "'+family+'".');
+	var min=wavelet_min_order(family);
+	if(typeof n!=='number' || n%1!=0 || n<min)
+		throw new Error('The order of a '+family+' wavelet must be an integer of at least '+min+', not '+n+'.');
+}
+
+//a function that returns the normalized values of a wavelet at the positions 1 to num of a sentence, cached by num
+function wavelet_basis(family,n,k)
+{
+	var f=null;
+	check_wavelet_order(family,n);
+	if(family==NodeMetric.DAUBECHIES4 || family==NodeMetric.RICKER)
+	{
+		var s=Math.pow(2,Math.max(0,n));
+		if(k<0 || k>=s || k%1!=0) throw new Error('The shift of a '+family+' wavelet of order '+n+' must be between 0 and '+(s-1)+'.');
+		if(family==NodeMetric.RICKER) f=function(t)
+		{
+			var u=(t*s-k-0.5)*4;
+			return (1-u*u)*Math.exp(-u*u/2);
+		};
+	}
+	else if(family==NodeMetric.LEGENDRE)
+	{
+		if(k!=0) throw new Error('A legendre wavelet must have the shift 0.');
+	}
+	else if(family==NodeMetric.FOURIER)
+	{
+		if(k!=0 && k!=1) throw new Error('A fourier wavelet must have the shift 0 (cosine) or 1 (sine).');
+	}
+
+	var cache={};
+	return function(num)
+	{
+		if(cache.hasOwnProperty(num)) return cache[num];
+		var v;
+		if(family==NodeMetric.LEGENDRE) v=discrete_legendre(num,n);
+		else if(family==NodeMetric.FOURIER) v=discrete_fourier(num,n,k);
+		else if(family==NodeMetric.DAUBECHIES4) v=discrete_daubechies4(num,n,k);
+		else
+		{
+			v=new Array(num);
+			var norm=0;
+			for(var x=0;x<num;x++)
+			{
+				v[x]=f((x+0.5)/num);
+				norm+=v[x]*v[x];
+			}
+			norm=Math.sqrt(norm);
+			for(var x=0;x<num;x++) v[x]=norm>0?v[x]/norm:0;
+		}
+		cache[num]=v;
+		return v;
+	};
+}
+
+//the orthonormal polynomial of degree n over num equally spaced points, by the Stieltjes recurrence
+function discrete_legendre(num,n)
+{
+	var zero=new Array(num);
+	for(var x=0;x<num;x++) zero[x]=0;
+	if(n>=num) return zero;
+	var previous=zero;
+	var current=new Array(num);
+	for(var x=0;x<num;x++) current[x]=1/Math.sqrt(num);
+	var b=0;
+	for(var d=0;d<n;d++)
+	{
+		var a=0;
+		for(var x=0;x<num;x++) a+=(x+0.5)/num*current[x]*current[x];
+		var next=new Array(num);
+		var norm=0;
+		for(var x=0;x<num;x++)
+		{
+			next[x]=((x+0.5)/num-a)*current[x]-b*previous[x];
+			norm+=next[x]*next[x];
+		}
+		norm=Math.sqrt(norm);
+		for(var x=0;x<num;x++) next[x]/=norm;
+		b=norm;
+		previous=current;
+		current=next;
+	}
+	return current;
+}
+
+//the cosine (k=0) or sine (k=1) with n periods over num points, normalized as in the real discrete Fourier transform
+function discrete_fourier(num,n,k)
+{
+	var v=new Array(num);
+	var c=0;
+	if(2*n<num && n>0) c=Math.sqrt(2/num);
+	else if(k==0 && (n==0 || 2*n==num)) c=Math.sqrt(1/num);
+	for(var x=0;x<num;x++)
+	{
+		var angle=2*Math.PI*n*x/num;
+		v[x]=c*(k==0?Math.cos(angle):Math.sin(angle));
+	}
+	return v;
+}
+
+var DAUBECHIES4_FILTER=(function(){
+	var r=Math.sqrt(3);
+	return [(1+r)/(4*Math.SQRT2),(3+r)/(4*Math.SQRT2),(3-r)/(4*Math.SQRT2),(1-r)/(4*Math.SQRT2)];
+})();
+
+//the Daubechies wavelet of order n and shift k over num positions: the inverse periodized DWT of a single coefficient (of the scaling function for the order -1)
+function discrete_daubechies4(num,n,k)
+{
+	var v=new Array(num);
+	for(var x=0;x<num;x++) v[x]=0;
+	var size=1;
+	while(size*2<=num) size*=2;
+	if(Math.pow(2,n+1)>size) return v;
+	var h=DAUBECHIES4_FILTER;
+	var a=[1];
+	var d=[0];
+	if(n>=0)
+	{
+		a=new Array(Math.pow(2,n));
+		for(var i=0;i<a.length;i++) a[i]=0;
+		d=a.slice();
+		d[k]=1;
+	}
+	while(a.length<size)
+	{
+		var length=a.length*2;
+		var next=new Array(length);
+		for(var i=0;i<length;i++) next[i]=0;
+		for(var i=0;i<a.length;i++)
+			for(var j=0;j<4;j++)
+				next[(2*i+j)%length]+=a[i]*h[j]+d[i]*(j%2==0?1:-1)*h[3-j];
+		a=next;
+		d=new Array(length);
+		for(var i=0;i<length;i++) d[i]=0;
+	}
+	//each value of the dyadic transform covers one or two positions, which keeps the family orthonormal
+	var cells=new Array(size);
+	for(var c=0;c<size;c++) cells[c]=0;
+	for(var x=0;x<num;x++) cells[Math.floor(x*size/num)]++;
+	for(var x=0;x<num;x++)
+	{
+		var c=Math.floor(x*size/num);
+		v[x]=a[c]/Math.sqrt(cells[c]);
+	}
+	return v;
+}
+
 /**
- * This method returns the lemma of this node.
- * @return string The lemma of this node.
+ * This method sets whether the nodes report their base relation while this metric is applied. When it is set, getRelation() returns the relation without the suffixes _CO, _AP, and _ExD (see TreebankSentence.getBaseRelation()), so that a metric that tests getRelation()=='ATR' also counts the coordinated attributives labelled ATR_CO.
+ * @param flag A boolean flag. The default value is true.
  */
-TreebankSentence.prototype.getLemma=function()
+NodeMetric.prototype.setBaseRelations=function(flag)
 {
-	return this.xml.getAttribute('lemma');
+	this.base_relations=typeof flag==='undefined'?true:flag;
 };
 
 /**
- * This method returns the pos. tag of this node.
- * @return string The pos. tag of this node.
+ * This method returns a serializable form of this metric, which is used to send it to the workers of TreebankCollection.applyParallel(). A weight function that was set by setDefaultWeights() or setWaveletWeights() is stored as that call; other weight and metric functions are stored as their source code, so they must not refer to variables outside of their body.
+ * A metric that was created by NodeMetric.create() or NodeMetric.fromDefinition() and not modified is stored by the name of its definition in NodeMetric.library or by its declarative definition.
+ * @return Object An object with the fields name, library (the name of the definition in NodeMetric.library or null), definition (the declarative definition of a metric created by NodeMetric.fromDefinition() or null), metricFrom (the serializable form of the metric whose metric function this metric shares, as in a MetricSuite or after the weights of a metric of the library or of a definition were changed, or null), weights (the preset weight call or null), weight (the source of the weight function or null), metric (the source of the metric function or null), and baseRelations (see setBaseRelations()).
  */
-TreebankSentence.prototype.getPosTag=function()
+NodeMetric.prototype.toJSON=function()
 {
-	return this.xml.getAttribute('postag');
+	var out={name:this.name,library:null,definition:null,metricFrom:null,weights:null,weight:null,metric:null,baseRelations:this.base_relations};
+	if(this._library && this._library.weight===this.weight && this._library.metric===this.metric) out.library=this._library.name;
+	else if(this._definition && this._definition.weight===this.weight && this._definition.metric===this.metric) out.definition=this._definition.definition;
+	else if(this._preset && this._preset.weight===this.weight) out.weights=this._preset.call;
+	else if(this.weight!==NodeMetric.prototype.weight) out.weight=function_source(this,this.weight);
+	if(out.library==null && out.definition==null && this.metric!==NodeMetric.prototype.metric)
+	{
+		if(this._metric_from && this._metric_from.metric===this.metric) out.metricFrom=this._metric_from.toJSON();
+		else if(this._library && this._library.metric===this.metric) out.metricFrom={name:this.name,library:this._library.name};
+		else if(this._definition && this._definition.metric===this.metric) out.metricFrom={name:this.name,definition:this._definition.definition};
+		else out.metric=function_source(this,this.metric);
+	}
+	return out;
 };
 
 /**
- * This method returns the id of this node, which is the order of the word in the sentence starting from 1.
- * @return number The id of this node.
+ * This method creates a metric from its serializable form (see toJSON()).
+ * @param data The object returned by toJSON().
+ * @return NodeMetric The new metric.
  */
-TreebankSentence.prototype.getId=function()
+NodeMetric.fromJSON=function(data)
 {
-	var id=parseInt(this.xml.getAttribute('id'));
-	if(isNaN(id))return -1;
-	if(typeof this.getRoot()._id_map[id]==='undefined')return -1;
-	return this.getRoot()._id_map[id];
+	var m=new NodeMetric(data.name);
+	if(data.library)
+	{
+		m=NodeMetric.create(data.library);
+		m.name=data.name;
+	}
+	else if(data.definition)
+	{
+		m=NodeMetric.fromDefinition(data.definition);
+		m.name=data.name;
+	}
+	else if(data.weights) m[data.weights[0]].apply(m,data.weights.slice(1));
+	else if(data.weight) m.weight=new Function('return ('+data.weight+');')();
+	if(data.metricFrom) m.metric=NodeMetric.fromJSON(data.metricFrom).metric;
+	else if(data.metric) m.metric=new Function('return ('+data.metric+');')();
+	if(data.baseRelations) m.setBaseRelations(true);
+	return m;
 };
 
 /**
- * This method returns the root node of the syntactical tree to which this node belongs.
- * @return TreebankSentence The root node object.
+ * This array holds the metrics registered with NodeMetric.register(). It is initially empty.
  */
-TreebankSentence.prototype.getRoot=function()
-{
-	return this.root;
-};
+NodeMetric.registered=new Array();
 
 /**
- * This method returns the treebank file object to which this node belongs.
- * @return TreebankFile The treebank file object.
+ * This method registers one or more metrics, given as a NodeMetric object, an array, or a MetricSuite. A suite script given to TreebankCollection.applyParallel() calls this method to define its metrics inside each worker, which is needed for metrics that cannot be serialized (see toJSON()).
+ * @param metrics A given metric or an array of metrics as NodeMetric object(s), or a MetricSuite.
  */
-TreebankSentence.prototype.getFile=function()
+NodeMetric.register=function(metrics)
 {
-	return this.file;
+	var m=metric_list(metrics);
+	for(var i=0;i<m.length;i++) NodeMetric.registered.push(m[i]);
 };
 
-/**
- * This method returns true if this node is a leaf otherwise returns false.
- * @return boolean The returned value.
- */
-TreebankSentence.prototype.isLeaf=function()
+function function_source(m,f)
 {
-	if(this.getNumOfChildren()==0) return true;
-	else return false;
+	var src=f.toString();
+	if(/\[native code\]\s*\}$/.test(src))
+		throw new Error('The metric "'+m.name+'" cannot be serialized; register it with NodeMetric.register() in a suite script instead.');
+	return src;
 }
 
 /**
- * This method returns true if this node is the root node otherwise returns false.
- * @return boolean The returned value.
+ * This method applies this metric to a given syntactically annotated sentence. It iteratively calculates the weighted metric for each node and returns the sum. Optionally it returns the contribution of each node instead, which shows which nodes produced the value.<br><br>
+ * <b>Example:</b><br><font style="font-family:Courier">
+ * var d=metric.apply(sentence,true);<br>
+ * for(var i=0;i&lt;d.nodes.length;i++)<br>
+ * &nbsp;&nbsp;if(d.nodes[i].contribution!=0) console.log(d.nodes[i].form+' '+d.nodes[i].contribution);<br></font>
+ * @param sentence An input sentence given as a TreebankSentence object.
+ * @param detailed An optional boolean flag for returning the contribution of each node. The default value is false.
+ * @return number A number with the value calculated by applying this metric to a given sentence. If detailed is true, an object with the fields total (the same number) and nodes (an array with an object for each node in preorder with the fields id, form, weight, value, and contribution, where value is null if the weight is 0, since the metric is not calculated for such nodes).
  */
-TreebankSentence.prototype.isRoot=function()
+NodeMetric.prototype.apply=function(sentence,detailed)
 {
-	if(this==this.root) return true; 
-	else return false;
+	var tree=sentence.tree;
+	var base_relations=tree.base_relations;
+	tree.base_relations=this.base_relations;
+	try
+	{
+		if(!detailed) return apply_to_node(this,tree,sentence.index);
+		var nodes=new Array();
+		var total=apply_to_node_detailed(this,tree,sentence.index,nodes);
+		return {total:total,nodes:nodes};
+	}
+	finally{tree.base_relations=base_relations;}
 };
 
 /**
- * This method returns the number of children of this node.
- * @return integer The number of children.
+ * This method computes the multilevel Haar decomposition of this metric over the words of a given sentence in one pass. The metric function is evaluated once for each node (the weight function is not used), and the values form a signal over the positions of the words (see getId(); the root, whose id is -1 or 0, is not part of the signal). The coefficients are the same as the values of this metric with setWaveletWeights(n,k) for every order n up to the given order and every shift k, so the coefficient of order -1 is the sum of the values divided by the number of nodes num. Each coefficient of order n is the sum of the values in the first half of an interval of length 1/2^n of the positions divided by num minus the sum in the second half.<br><br>
+ * <b>Example:</b><br><font style="font-family:Courier">
+ * var p=NodeMetric.create('Percentage of ATR').decompose(sentence);<br>
+ * console.log(p.energy); // the energy of the coefficients of each order<br>
+ * console.log(NodeMetric.reconstruct(p)); // the values of the metric at each position<br></font>
+ * @param sentence An input sentence given as a TreebankSentence object.
+ * @param order An optional highest order of the decomposition. By default it is the smallest order at which the decomposition can be inverted exactly, i.e. the smallest n with 2^(n+1)&gt;=num.
+ * @return Object The coefficient pyramid, with the fields order (the highest order), num (the number of nodes of the sentence), positions (the positions of the words, in ascending order), values (the value of the metric at each position), scaling (the coefficient of order -1), details (an array with an array of coefficients by shift for each order from 0), energy (an array with the sum of the squares of the coefficients of each order, starting from the order -1), and exact (true if the order is high enough for an exact reconstruction).
  */
-TreebankSentence.prototype.getNumOfChildren=function(height)
-{
-	var h=0;
-	if(typeof height !=='undefined') h=height;
-	return compute_num_of_children(this.xml,h);
-};
-
-function compute_num_of_children(xml_element, height)
+NodeMetric.prototype.decompose=function(sentence,order)
 {
-	if(height==0)
-		return xml_element.childNodes.length;
-	else
+	var tree=sentence.tree;
+	var num=sentence.getRoot().getNumOfNodes();
+	var max_order=0;
+	while(Math.pow(2,max_order+1)<num) max_order++;
+	var n=typeof order==='undefined'?max_order:order;
+	if(!(n>=0)) throw new Error('The order of a decomposition must be at least 0.');
+	var signal=new Array();
+	var base_relations=tree.base_relations;
+	tree.base_relations=this.base_relations;
+	try
 	{
-		var sum=0;
-		for(var i=0;i<xml_element.childNodes.length;i++)
+		for(var k=sentence.index;k<sentence.index+tree.size[sentence.index];k++)
 		{
-			sum+=compute_num_of_children(xml_element.childNodes[i],height-1);
+			var x=tree.nodes[k].getId();
+			if(x>0) signal.push({position:x,value:+this.metric(tree.nodes[k])});
 		}
-		return sum;
 	}
-}
+	finally{tree.base_relations=base_relations;}
+	signal.sort(function(a,b){return a.position-b.position;});
 
-/**
- * This method returns the node object of this node's parent or null of this node is the root.
- * @return TreebankSentence The object of the parent node.
- */
-TreebankSentence.prototype.getParent=function()
-{
-	if(this.parent==this.root) return null; else return this.parent;
-};
+	var cells=haar_cells(signal.map(function(s){return s.position;}),num,n+1);
+	var sums=new Array(cells.count);
+	for(var j=0;j<sums.length;j++) sums[j]=0;
+	for(var i=0;i<signal.length;i++) sums[cells.index[i]]+=signal[i].value/num;
 
-TreebankSentence.prototype.calculateIdMap=function()
-{
-	if(this._id_map)return;
-	this._id_map=[];
-	var w=this.xml.getElementsByTagName('word');
-	var c=0;
-	for(var i=0;i<w.length;i++)
-	{
-		c=parseInt(w[i].getAttribute('id'));
-		if(!isNaN(c))this._id_map[c]=1;
-	}
-	c=0;
-	for(var i=0;i<this._id_map.length;i++)
+	var pyramid={order:n,num:num,positions:signal.map(function(s){return s.position;}),values:signal.map(function(s){return s.value;}),scaling:0,details:new Array(n+1),energy:new Array(n+2),exact:cells.exact};
+	for(var level=n;level>=0;level--)
 	{
-		if(this._id_map[i])
+		var coarse=new Array(sums.length/2);
+		var detail=new Array(sums.length/2);
+		for(var k=0;k<coarse.length;k++)
 		{
-			c+=1;
-			this._id_map[i]=c;
+			coarse[k]=sums[2*k]+sums[2*k+1];
+			detail[k]=sums[2*k]-sums[2*k+1];
 		}
+		pyramid.details[level]=detail;
+		sums=coarse;
+	}
+	pyramid.scaling=sums[0];
+	pyramid.energy[0]=pyramid.scaling*pyramid.scaling;
+	for(var level=0;level<=n;level++)
+	{
+		var e=0;
+		for(var k=0;k<pyramid.details[level].length;k++) e+=pyramid.details[level][k]*pyramid.details[level][k];
+		pyramid.energy[level+1]=e;
 	}
+	return pyramid;
 };
 
 /**
- * This method returns an array with the children of this node.
- * @return Array An array with the children of this node given as TreebankSentence objects.
+ * This method inverts a Haar decomposition computed by decompose() and returns the values of the metric at the positions of the words. If the decomposition is exact (see the field exact of the pyramid), they are the original values up to rounding errors; otherwise the words that share an interval of the highest order get the average of their values. The coefficients of the pyramid can be modified before the reconstruction, for example to remove the orders above a given order.
+ * @param pyramid A coefficient pyramid as returned by decompose().
+ * @return Array An array of numbers with the value at each position of pyramid.positions.
  */
-TreebankSentence.prototype.getChildren=function()
+NodeMetric.reconstruct=function(pyramid)
 {
-	var children=new Array(this.xml.childNodes.length);
-	for(var i=0;i<children.length;i++)
+	var sums=[pyramid.scaling];
+	for(var level=0;level<=pyramid.order;level++)
 	{
-		children[i]=new TreebankSentence(this);
-		children[i].xml=this.xml.childNodes[i];
+		var finer=new Array(sums.length*2);
+		for(var k=0;k<sums.length;k++)
+		{
+			finer[2*k]=(sums[k]+pyramid.details[level][k])/2;
+			finer[2*k+1]=(sums[k]-pyramid.details[level][k])/2;
+		}
+		sums=finer;
 	}
-	return children;
+	var cells=haar_cells(pyramid.positions,pyramid.num,pyramid.order+1);
+	var counts=new Array(cells.count);
+	for(var j=0;j<counts.length;j++) counts[j]=0;
+	for(var i=0;i<cells.index.length;i++) counts[cells.index[i]]++;
+	return cells.index.map(function(j){return sums[j]*pyramid.num/counts[j];});
 };
 
-/**
- * This method returns the width of the tree starting from this node as the root. It is calculated as the maximum number of nodes that belong to the same generation.
- * @return number The width of the tree.
- */
-TreebankSentence.prototype.getWidth=function()
+//the interval (j/2^level,(j+1)/2^level] that contains each position x/num, as in setWaveletWeights()
+function haar_cells(positions,num,level)
 {
-	var h=this.getHeight();
-	var max_width=0;
-	var current_width=0;
-	for(var i=0;i<h;i++)
+	var count=Math.pow(2,level);
+	var cells={count:count,index:new Array(positions.length),exact:true};
+	for(var i=0;i<positions.length;i++)
 	{
-		current_width=this.getNumOfChildren(i);
-		if(current_width>max_width)max_width=current_width;
+		var j=Math.ceil(positions[i]*count/num)-1;
+		cells.index[i]=Math.min(count-1,Math.max(0,j));
+		if(i>0 && cells.index[i]==cells.index[i-1]) cells.exact=false;
 	}
-	return max_width;
-};
+	return cells;
+}
 
-/**
- * This method returns the size of the largest family of the tree that starts from this node as the root. It is calculated as the maximum number of children that one node can have in this tree.
- * @return number The width of the largest family.
- */
-TreebankSentence.prototype.getMaxFamilyWidth=function()
+function apply_to_node(m,tree,k)
 {
-	return compute_max_children(this.xml);
-};
+	var node=tree.nodes[k];
+	var value=m.weight(node);
+	if(value!=0) value*=m.metric(node);
+	var ch=tree.children[k];
+	for(var i=0;i<ch.length;i++)
+		value+=apply_to_node(m,tree,ch[i]);
+	return value;
+}
 
-function compute_max_children(xml_element)
+//the same sum as apply_to_node(), which also records the contribution of each node
+function apply_to_node_detailed(m,tree,k,nodes)
 {
-	if(xml_element.childNodes.length==0)
-		return 0;
-	else
+	var node=tree.nodes[k];
+	var entry={id:node.getId(),form:node.getForm(),weight:m.weight(node),value:null,contribution:0};
+	nodes.push(entry);
+	var value=entry.weight;
+	if(value!=0)
 	{
-		var max_val=xml_element.childNodes.length;
-		var current_val=0;
-		for(var i=0;i<xml_element.childNodes.length;i++)
-		{
-			current_val=compute_max_children(xml_element.childNodes[i]);
-			if(current_val>max_val)max_val=current_val;
-		}
-		return max_val;
+		entry.value=+m.metric(node);
+		value*=entry.value;
+		entry.contribution=value;
 	}
+	var ch=tree.children[k];
+	for(var i=0;i<ch.length;i++)
+		value+=apply_to_node_detailed(m,tree,ch[i],nodes);
+	return value;
 }
 
 /**
- * This method returns the height of the tree starting from this node as the root. It is calculated as the maximum number of generations in this tree.
- * @return number The height of the tree.
+ * The version of the definitions in NodeMetric.library. The definition of a metric does not change within a version, so results that were computed with the same version are comparable.
  */
-TreebankSentence.prototype.getHeight=function()
-{
-	return compute_height(this.xml);
+NodeMetric.LIBRARY_VERSION='1.0';
+
+/**
+ * This object holds the named metrics of E. Bozia, "Measuring Tradition, Imitation, and Simplicity: The case of Attic Oratory" (CRH 2015), as used by the demo page. Each entry has the fields description (the definition and the normalization of the metric), wavelet (true if the metric counts nodes and can also be weighted by Haar wavelets), weights (a preset weight type, see setDefaultWeights(), or a weight function), and metric (the metric function). The metrics are created by name with NodeMetric.create(). The relations are matched exactly, so ATR does not include ATR_CO unless setBaseRelations() is called on the created metric.
+ */
+NodeMetric.library={
+	'Number of nodes':{
+		description:'The number of nodes of the sentence, including artificial words.',
+		wavelet:false,weights:NodeMetric.ROOT_ONE_OTHERS_ZERO,
+		metric:function(n){return n.getNumOfNodes();}},
+	'Number of words':{
+		description:'The number of words of the sentence, without artificial words.',
+		wavelet:false,weights:NodeMetric.ROOT_ONE_OTHERS_ZERO,
+		metric:function(n){return n.getNumOfWords();}},
+	'Number of root children':{
+		description:'The number of children of the root.',
+		wavelet:false,weights:NodeMetric.ROOT_ONE_OTHERS_ZERO,
+		metric:function(n){return n.getNumOfChildren();}},
+	'Number of root grand-children':{
+		description:'The number of grand-children of the root.',
+		wavelet:false,weights:NodeMetric.ROOT_ONE_OTHERS_ZERO,
+		metric:function(n){return n.getNumOfChildren(1);}},
+	'Number of root great-grand-children':{
+		description:'The number of great-grand-children of the root.',
+		wavelet:false,weights:NodeMetric.ROOT_ONE_OTHERS_ZERO,
+		metric:function(n){return n.getNumOfChildren(2);}},
+	'Height':{
+		description:'The number of levels of the tree below the root.',
+		wavelet:false,weights:NodeMetric.ROOT_ONE_OTHERS_ZERO,
+		metric:function(n){return n.getHeight();}},
+	'Width':{
+		description:'The largest number of nodes at the same depth of the tree.',
+		wavelet:false,weights:NodeMetric.ROOT_ONE_OTHERS_ZERO,
+		metric:function(n){return n.getWidth();}},
+	'Max Family Width':{
+		description:'The largest number of children of a node of the tree.',
+		wavelet:false,weights:NodeMetric.ROOT_ONE_OTHERS_ZERO,
+		metric:function(n){return n.getMaxFamilyWidth();}},
+	'Percentage of Leaves':{
+		description:'The number of leaves divided by the number of nodes.',
+		wavelet:true,weights:NodeMetric.UNIFORM_SUM_TO_ONE,
+		metric:function(n){return n.isLeaf();}},
+	'Percentage of Height':{
+		description:'The height of the tree divided by the number of nodes.',
+		wavelet:false,weights:NodeMetric.ROOT_ONE_OTHERS_ZERO,
+		metric:function(n){return n.getHeight()/n.getNumOfNodes();}},
+	'Percentage of Width':{
+		description:'The width of the tree divided by the number of nodes.',
+		wavelet:false,weights:NodeMetric.ROOT_ONE_OTHERS_ZERO,
+		metric:function(n){return n.getWidth()/n.getNumOfNodes();}},
+	'Percentage of Max Family Width':{
+		description:'The max family width of the tree divided by the number of nodes.',
+		wavelet:false,weights:NodeMetric.ROOT_ONE_OTHERS_ZERO,
+		metric:function(n){return n.getMaxFamilyWidth()/n.getNumOfNodes();}},
+	'Percentage of ATR':{
+		description:'The number of nodes with the relation ATR (attributives) divided by the number of nodes.',
+		wavelet:true,weights:NodeMetric.UNIFORM_SUM_TO_ONE,
+		metric:function(n){return n.getRelation()=='ATR';}},
+	'Percentage of Verb Attributives':{
+		description:'The number of verbs with the relation ATR divided by the number of words.',
+		wavelet:true,weights:function(n){return 1/n.getRoot().getNumOfWords();},
+		metric:function(n){if(n.getRelation()=='ATR'&& n.getPosTag()[0]=='v') return 1; else return 0;}},
+	'Percentage of Adjectival Attributives':{
+		description:'The number of adjectives with the relation ATR divided by the number of words.',
+		wavelet:true,weights:function(n){return 1/n.getRoot().getNumOfWords();},
+		metric:function(n){if(n.getRelation()=='ATR'&& n.getPosTag()[0]=='a') return 1; else return 0;}},
+	'Percentage of de Coordinates':{
+		description:'The number of coordinations (COORD) with the lemma \u03b4\u03ad divided by the number of words.',
+		wavelet:true,weights:function(n){return 1/n.getRoot().getNumOfWords();},
+		metric:function(n){if(n.getRelation()=='COORD'&& n.getLemma()=='\u03b4\u03ad') return 1; else return 0;}},
+	'Percentage of Nodes under ATR':{
+		description:'The sum of the sizes of the subtrees under the nodes with the relation ATR divided by the number of words.',
+		wavelet:false,weights:function(n){if(n.getRelation()=='ATR') return 1; else return 0;},
+		metric:function(n){return n.getNumOfNodes()/n.getRoot().getNumOfWords();}}
 };
 
-function compute_height(xml_element)
+/**
+ * The names of the metrics of the CRH 2015 study, in the order of the demo page: ten sentence metrics followed by five node metrics weighted by Haar wavelets of orders -1 to 2. NodeMetric.create(NodeMetric.CRH2015) creates all of them.
+ */
+NodeMetric.CRH2015=crh2015_names();
+
+function crh2015_names()
 {
-	if(xml_element.childNodes.length==0)
-		return 0;
-	else
+	var names=['Number of nodes','Percentage of Leaves','Percentage of Height','Percentage of Width','Percentage of Max Family Width','Percentage of ATR','Percentage of Verb Attributives','Percentage of Adjectival Attributives','Percentage of de Coordinates','Percentage of Nodes under ATR'];
+	var wavelets=['Percentage of Leaves','Percentage of ATR','Percentage of Verb Attributives','Percentage of Adjectival Attributives','Percentage of de Coordinates'];
+	for(var n=-1;n<3;n++)
 	{
-		var max_height=0;
-		var current_height=0;
-		for(var i=0;i<xml_element.childNodes.length;i++)
-		{
-			current_height=compute_height(xml_element.childNodes[i]);
-			if(current_height>max_height)max_height=current_height;
-		}
-		return max_height+1;
+		var p=1;
+		for(var i=0;i<n;i++)p*=2;
+		for(var k=0;k<p;k++)
+			for(var i=0;i<wavelets.length;i++) names.push(wavelets[i]+' W'+n+','+k);
 	}
+	return names;
 }
 
 /**
- * This method returns the words in the tree that starts form this node as a root. The nodes that do not contain words (such as punctuation nodes) are not counted.
- * @return number The number of words.
- */
-TreebankSentence.prototype.getNumOfWords=function()
-{
-	var w=this.xml.getElementsByTagName('word');
-	var counter=0;
-		if(this.xml.hasAttribute('insertion_id')){}
-		else counter+=1;//self
-	for(var i=0;i<w.length;i++)
-		if(w[i].hasAttribute('insertion_id')){}
-		else counter+=1;
-	return counter;
-};
-
-/**
- * This method returns the nodes in the tree that starts form this node as a root.
- * @return number The number of nodes.
+ * This method creates one or more metrics of NodeMetric.library by name. A name can end with a wavelet suffix " Wn,k" (for example "Percentage of ATR W1,0"), in which case the weights of the metric are set by setWaveletWeights(n,k), or with a depth wavelet suffix " Dn,k", in which case they are set by setDepthWaveletWeights(n,k).<br><br>
+ * <b>Example:</b><br><font style="font-family:Courier">
+ * var m=NodeMetric.create('Percentage of ATR');<br>
+ * var metrics=NodeMetric.create(NodeMetric.CRH2015);<br></font>
+ * @param name The name of a metric, or an array of names.
+ * @return NodeMetric The new metric, or an array of new metrics if an array of names is given.
  */
-TreebankSentence.prototype.getNumOfNodes=function()
+NodeMetric.create=function(name)
 {
-	if(this.num_of_nodes==null)
+	if(Array.isArray(name)) return name.map(function(n){return NodeMetric.create(n);});
+	var definition=NodeMetric.library[name];
+	var wavelet=null;
+	if(typeof definition==='undefined')
 	{
-		var w=this.xml.getElementsByTagName('word');
-		this.num_of_nodes=w.length+1;
+		var match=/^(.*) ([WD])(-?\d+),(\d+)$/.exec(name);
+		if(match && NodeMetric.library.hasOwnProperty(match[1]) && NodeMetric.library[match[1]].wavelet)
+		{
+			definition=NodeMetric.library[match[1]];
+			wavelet=[parseInt(match[3]),parseInt(match[4]),match[2]=='D'];
+		}
+		else throw new Error('Unknown metric "'+name+'".');
 	}
-	return this.num_of_nodes;
+	var m=new NodeMetric(name);
+	if(wavelet && wavelet[2]) m.setDepthWaveletWeights(wavelet[0],wavelet[1]);
+	else if(wavelet) m.setWaveletWeights(wavelet[0],wavelet[1]);
+	else if(typeof definition.weights==='function') m.weight=definition.weights;
+	else m.setDefaultWeights(definition.weights);
+	m.metric=definition.metric;
+	m._library={weight:m.weight,metric:m.metric,name:name};
+	return m;
 };
 
-TreebankSentence.NO_PUNCTUATION=2;
-TreebankSentence.WITH_ARTIFICIAL=4;
-TreebankSentence.GREEK_TO_LATIN=8;
-
 /**
- * This method returns the form of this node.
- * @return string The form of this node.
+ * This method creates a metric from a declarative definition, which is a JSON object that can be saved and shared as a file instead of code. The metric of a node is the value of the definition if the node matches the condition, and 0 otherwise; the weights are one of the presets.<br><br>
+ * <b>Example:</b> the verbs with the relation ATR, normalized by the number of words:<br><font style="font-family:Courier">
+ * NodeMetric.fromDefinition({"name":"Percentage of Verb Attributives","where":{"relation":"ATR","pos":"verb"},"weights":"words"})<br></font><br>
+ * The definition has the following fields:<br>
+ * name: the name of the metric (required),<br>
+ * description: an optional text that describes the metric,<br>
+ * where: an optional condition that the nodes must match (see below); by default all nodes match,<br>
+ * value: an optional value expression (see below); the default is 1, i.e. the matching nodes are counted,<br>
+ * weights: "all" (1 for all nodes, the default), "root" (1 only for the root), "uniform" (1/number of nodes), "leaves" (1 only for the leaves), "words" (1/number of words), {"wavelet":[n,k]} or {"wavelet":[n,k,family]} (see setWaveletWeights(); the family is for example "legendre"), {"depthWavelet":[n,k]} or {"depthWavelet":[n,k,family]} (see setDepthWaveletWeights()), or {"depthBand":[from,to]} (see setDepthBandWeights()),<br>
+ * baseRelations: true to match the relations without their suffixes (see setBaseRelations()).<br><br>
+ * A condition is an object whose fields must all match: relation, baseRelation, lemma, and form (a string or an array of strings, one of which must be equal to the field of the node), postag (a pattern of the pos. tag in which "." matches any character, for example "v...p...."), pos, person, number, tense, mood, voice, gender, case, and degree (a name or an array of names as returned by getMorphology(), for example "genitive"), nodes, words, height, width, children, max_family, depth, and id (a number, or an object with the fields min and/or max, compared to the value of the node, see below), leaf and root (true or false), not (a condition that must not match), any (an array of conditions of which one must match), and all (an array of conditions that must all match).<br><br>
+ * A value expression is a number, the name of a value of the node: "nodes" (getNumOfNodes()), "words" (getNumOfWords()), "height", "width", "children" (getNumOfChildren()), "max_family" (getMaxFamilyWidth()), "depth" (getDepth()), or "id" (getId()), the same name after "root." for the value of the root of the sentence (for example "root.words"), or an object with one of the fields add, subtract, multiply, and divide, whose value is an array of value expressions.
+ * @param definition The definition of the metric as an object, or as a JSON string.
+ * @return NodeMetric The new metric.
  */
-TreebankSentence.prototype.getForm=function()
+NodeMetric.fromDefinition=function(definition)
 {
-	return this.xml.getAttribute('form');
+	var d=typeof definition==='string'?JSON.parse(definition):definition;
+	if(d==null || typeof d.name!=='string') throw new Error('A metric definition must have a name.');
+	for(var field in d)
+		if(['name','description','where','value','weights','baseRelations'].indexOf(field)<0)
+			throw new Error('The metric "'+d.name+'" has an unknown field "'+field+'".');
+	var m=new NodeMetric(d.name);
+	var weights=typeof d.weights==='undefined'?'all':d.weights;
+	if(weights && typeof weights==='object' && Array.isArray(weights.wavelet) && (weights.wavelet.length==2 || weights.wavelet.length==3))
+		m.setWaveletWeights.apply(m,weights.wavelet);
+	else if(weights && typeof weights==='object' && Array.isArray(weights.depthWavelet) && (weights.depthWavelet.length==2 || weights.depthWavelet.length==3))
+		m.setDepthWaveletWeights.apply(m,weights.depthWavelet);
+	else if(weights && typeof weights==='object' && Array.isArray(weights.depthBand) && weights.depthBand.length==2)
+		m.setDepthBandWeights(weights.depthBand[0],weights.depthBand[1]);
+	else if(weights=='all') m.setDefaultWeights(NodeMetric.All_ONE);
+	else if(weights=='root') m.setDefaultWeights(NodeMetric.ROOT_ONE_OTHERS_ZERO);
+	else if(weights=='uniform') m.setDefaultWeights(NodeMetric.UNIFORM_SUM_TO_ONE);
+	else if(weights=='leaves') m.setDefaultWeights(NodeMetric.LEAVES_ONE_OTHERS_ZERO);
+	else if(weights=='words') m.weight=function(n){return 1/n.getRoot().getNumOfWords();};
+	else throw new Error('The metric "'+d.name+'" has unknown weights '+JSON.stringify(weights)+'.');
+	var where=typeof d.where==='undefined'?null:compile_condition(d.where,d.name);
+	var value=compile_value(typeof d.value==='undefined'?1:d.value,d.name);
+	if(where) m.metric=function(n){return where(n)?value(n):0;};
+	else m.metric=value;
+	if(d.baseRelations) m.setBaseRelations(true);
+	m._definition={weight:m.weight,metric:m.metric,definition:d};
+	return m;
 };
 
 /**
- * This method exports this sentence as a string.
- * @param input_flags The exported string can be generated by a comination of the following flags using binary addition: TreebankSentence.NO_PUNCTUATION (does not include punctuation in the result), TreebankSentence.WITH_ARTIFICIAL (includes punctuation in the result), TreebankSentence.GREEK_TO_LATIN (transliterates the result to the latin alphabet using 1-1 character mapping). Example: sentence.toString(TreebankSentence.WITH_ARTIFICIAL|TreebankSentence.GREEK_TO_LATIN);
- * @return string The exported sentence.
+ * This method returns the declarative definition of this metric (see NodeMetric.fromDefinition()), which can be saved as JSON.
+ * @return Object The definition of this metric, or null if it was not created from a definition or if its functions were changed.
  */
-TreebankSentence.prototype.toString=function(input_flags)
+NodeMetric.prototype.getDefinition=function()
 {
-	var flags=0;
-	if(typeof flags!=='undefined') flags=input_flags;
-	
-	var with_artif=((flags & TreebankSentence.WITH_ARTIFICIAL)>0);
-	var no_punct=((flags & TreebankSentence.NO_PUNCTUATION)>0);
-	
-	var w=this.xml.getElementsByTagName('word');
-	var w2=new Array(w.length);
-	for(var i=0;i<w.length;i++)
-		w2[parseInt(w[i].getAttribute('id'))-1]=w[i];
-	
-	var out='';
-	var no_space=false;
-	var no_space_after=false;
-	var form='';
-	for(var i=0;i<w2.length;i++)
+	var out=this.toJSON();
+	return out.definition;
+};
+
+var DEFINITION_VALUES={
+	nodes:function(n){return n.getNumOfNodes();},
+	words:function(n){return n.getNumOfWords();},
+	height:function(n){return n.getHeight();},
+	width:function(n){return n.getWidth();},
+	children:function(n){return n.getNumOfChildren();},
+	max_family:function(n){return n.getMaxFamilyWidth();},
+	depth:function(n){return n.getDepth();},
+	id:function(n){return n.getId();}
+};
+
+var DEFINITION_TEXTS={
+	relation:function(n){return n.getRelation();},
+	baseRelation:function(n){return n.getBaseRelation();},
+	lemma:function(n){return n.getLemma();},
+	form:function(n){return n.getForm();}
+};
+
+function compile_condition(where,name)
+{
+	if(where==null || typeof where!=='object' || Array.isArray(where))
+		throw new Error('The condition of the metric "'+name+'" must be an object.');
+	var tests=new Array();
+	for(var field in where) tests.push(compile_test(field,where[field],name));
+	return function(n)
 	{
-		form=w2[i].getAttribute('form');
-		if(form.length>0)
+		for(var i=0;i<tests.length;i++) if(!tests[i](n)) return false;
+		return true;
+	};
+}
+
+function compile_test(field,expected,name)
+{
+	if(field=='not')
+	{
+		var condition=compile_condition(expected,name);
+		return function(n){return !condition(n);};
+	}
+	if(field=='any' || field=='all')
+	{
+		if(!Array.isArray(expected)) throw new Error('The field "'+field+'" of the metric "'+name+'" must be an array of conditions.');
+		var conditions=expected.map(function(c){return compile_condition(c,name);});
+		if(field=='any') return function(n){return conditions.some(function(c){return c(n);});};
+		return function(n){return conditions.every(function(c){return c(n);});};
+	}
+	if(field=='leaf') return function(n){return n.isLeaf()==expected;};
+	if(field=='root') return function(n){return n.isRoot()==expected;};
+	if(field=='postag')
+	{
+		var pattern=''+expected;
+		return function(n)
 		{
-			if(form.charAt(0)=='-')
-			{
-				form=form.substring(1,form.length);
-				no_space=true;
-			}
-			else if(form.charAt(form.length-1)=='-') 
-			{
-				form=form.substring(0,form.length-1);
-				no_space_after=true;
-			}
+			var tag=n.getPosTag()||'';
+			for(var i=0;i<pattern.length;i++)
+				if(pattern.charAt(i)!='.' && pattern.charAt(i)!=tag.charAt(i)) return false;
+			return true;
+		};
+	}
+	var values=Array.isArray(expected)?expected:[expected];
+	if(DEFINITION_TEXTS.hasOwnProperty(field))
+	{
+		var text=DEFINITION_TEXTS[field];
+		return function(n){return values.indexOf(text(n))>=0;};
+	}
+	for(var i=0;i<TreebankSentence.MORPHOLOGY.length;i++)
+		if(TreebankSentence.MORPHOLOGY[i].field==field)
+		{
+			var position=i;
+			return function(n){return values.indexOf(morphology_value(n,position))>=0;};
 		}
-		if(no_punct && !isPunctuation(form) && isPunctuation(form.charAt(form.length-1)))
+	if(DEFINITION_VALUES.hasOwnProperty(field))
+	{
+		var value=DEFINITION_VALUES[field];
+		if(typeof expected==='number') return function(n){return value(n)==expected;};
+		if(expected!=null && typeof expected==='object')
 		{
-			form=form.substring(0,form.length-1);
+			var min=typeof expected.min==='number'?expected.min:-Infinity;
+			var max=typeof expected.max==='number'?expected.max:Infinity;
+			return function(n){var v=value(n);return v>=min && v<=max;};
 		}
-		
-		if(with_artif || !isArtificial(w2[i]))
+	}
+	throw new Error('The condition of the metric "'+name+'" has an unknown field "'+field+'" or an invalid value.');
+}
+
+function compile_value(expression,name)
+{
+	if(typeof expression==='number') return function(n){return expression;};
+	if(typeof expression==='string')
+	{
+		var root=expression.substring(0,5)=='root.';
+		var field=root?expression.substring(5):expression;
+		if(!DEFINITION_VALUES.hasOwnProperty(field)) throw new Error('The metric "'+name+'" has an unknown value "'+expression+'".');
+		var value=DEFINITION_VALUES[field];
+		if(root) return function(n){return value(n.getRoot());};
+		return value;
+	}
+	if(expression!=null && typeof expression==='object')
+	{
+		var operations={
+			add:function(a,b){return a+b;},
+			subtract:function(a,b){return a-b;},
+			multiply:function(a,b){return a*b;},
+			divide:function(a,b){return a/b;}
+		};
+		var keys=Object.keys(expression);
+		if(keys.length==1 && operations.hasOwnProperty(keys[0]) && Array.isArray(expression[keys[0]]) && expression[keys[0]].length>0)
 		{
-			if(isPunctuation(form))
+			var operation=operations[keys[0]];
+			var operands=expression[keys[0]].map(function(e){return compile_value(e,name);});
+			return function(n)
 			{
-				if(!no_punct)
-				{
-					if(form=='(')
-					{
-						out+=' '+form;
-						no_space=true;
-					}
-					else out+=form;
-				}
-			}
-			else
-			{	
-				if(no_space)
+				var v=operands[0](n);
+				for(var i=1;i<operands.length;i++) v=operation(v,operands[i](n));
+				return v;
+			};
+		}
+	}
+	throw new Error('The metric "'+name+'" has an invalid value expression '+JSON.stringify(expression)+'.');
+}
+
+//a function that returns the metrics given as a NodeMetric object, an array, or a MetricSuite as an array
+function metric_list(metrics)
+{
+	if(metrics instanceof NodeMetric) return [metrics];
+	if(metrics instanceof MetricSuite) return metrics.metrics;
+	return metrics;
+}
+
+/**
+ * This class creates a suite of metrics from one or more base metrics. For each base metric the suite contains the base metric itself, its variants weighted by preset weights, and its variants weighted by wavelets (see NodeMetric.setWaveletWeights()) of the given orders with all their shifts, named as in the demo page (for example "Percentage of ATR W1,0" for Haar wavelets, or "Percentage of ATR legendre 2,0" for the other families). With the option axis "depth", the wavelets are depth wavelets (see NodeMetric.setDepthWaveletWeights()) and are named for example "Percentage of ATR D1,0" or "Percentage of ATR legendre D2,0". The suite can be given to all apply() methods instead of an array of metrics, and the results are in the order of the field metrics. The field entries describes each metric by its base metric, order, shift, family, axis, and preset, so that the results can be regrouped by base metric or by order (see group()).<br><br>
+ * <b>Example:</b><br><font style="font-family:Courier">
+ * var suite=new MetricSuite(NodeMetric.create(['Percentage of Leaves','Percentage of ATR']),{orders:[0,1,2]});<br>
+ * c.apply(suite).then(function(results){<br>
+ * &nbsp;var coefficients=suite.group(results[0][0],'base');<br>
+ * &nbsp;console.log(coefficients['Percentage of ATR'][2]); // the values of W2,0 to W2,3 of the first sentence<br>
+ * });<br></font>
+ * @param metrics The base metrics as a NodeMetric object, an array of NodeMetric objects, or names of metrics of NodeMetric.library.
+ * @param options An optional object with one or more of the following fields: orders (an array with the orders of the wavelets, by default MetricSuite.ORDERS without the order -1 for the families that have no scaling function, i.e. Ricker, Legendre, and Fourier, whose order 0 is already constant for Legendre and Fourier), family (the family of the wavelets, by default NodeMetric.HAAR), axis ("position" for wavelets over the positions of the words, the default, or "depth" for wavelets over the depth of the nodes), presets (an array of preset weight types of NodeMetric.setDefaultWeights(), each of which adds a variant named for example "Percentage of ATR (uniform)"; by default none), base (false to leave out the base metrics themselves; the default is true), expand (an array with the names of the base metrics that get variants; by default all).
+ */
+function MetricSuite(metrics,options)
+{
+	var opt=options||{};
+	var family=opt.family||NodeMetric.HAAR;
+	var orders=opt.orders||MetricSuite.ORDERS.filter(function(n){return n>=wavelet_min_order(family);});
+	for(var j=0;j<orders.length;j++) check_wavelet_order(family,orders[j]);
+	var axis=opt.axis||'position';
+	if(axis!='position' && axis!='depth') throw new Error('Unknown axis "'+axis+'"; it must be "position" or "depth".');
+	var presets=opt.presets||[];
+	var base=metric_list(typeof metrics==='string'?[metrics]:metrics).map(function(m){return typeof m==='string'?NodeMetric.create(m):m;});
+	var expand=base.filter(function(m){return !opt.expand || opt.expand.indexOf(m.name)>=0;});
+	this.base=base;
+	this.metrics=new Array();
+	this.entries=new Array();
+	if(opt.base!==false)
+		for(var i=0;i<base.length;i++)
+			suite_add(this,base[i],base[i],null,null,null,null,null);
+	for(var j=0;j<presets.length;j++)
+	{
+		if(!PRESET_NAMES.hasOwnProperty(presets[j])) throw new Error('Unknown preset weights '+presets[j]+'.');
+		for(var i=0;i<expand.length;i++)
+		{
+			var m=derived_metric(expand[i],expand[i].name+' ('+PRESET_NAMES[presets[j]]+')');
+			m.setDefaultWeights(presets[j]);
+			suite_add(this,m,expand[i],null,null,null,null,presets[j]);
+		}
+	}
+	for(var j=0;j<orders.length;j++)
+	{
+		var n=orders[j];
+		var shifts=wavelet_shifts(family,n);
+		for(var k=0;k<shifts.length;k++)
+			for(var i=0;i<expand.length;i++)
+			{
+				var m=null;
+				var suffix=(axis=='depth'?'D':(family==NodeMetric.HAAR?'W':''))+n+','+shifts[k];
+				if(family==NodeMetric.HAAR)
 				{
-					out+=form;
-					no_space=false;
+					m=derived_metric(expand[i],expand[i].name+' '+suffix);
+					if(axis=='depth') m.setDepthWaveletWeights(n,shifts[k]);
+					else m.setWaveletWeights(n,shifts[k]);
 				}
-				else out+=' '+form;
-				
-				if(no_space_after)
+				else
 				{
-					no_space_after=false;
-					no_space=true;
+					m=derived_metric(expand[i],expand[i].name+' '+family+' '+suffix);
+					if(axis=='depth') m.setDepthWaveletWeights(n,shifts[k],family);
+					else m.setWaveletWeights(n,shifts[k],family);
 				}
+				suite_add(this,m,expand[i],n,shifts[k],family,axis,null);
 			}
-		}
 	}
-	out=out+' ';
-	
-	if((flags & TreebankSentence.GREEK_TO_LATIN)>0) out=greekToLatin(out);
-	
+}
+
+/**
+ * The default orders of the wavelets of a MetricSuite, as in the CRH 2015 study.
+ */
+MetricSuite.ORDERS=[-1,0,1,2];
+
+var PRESET_NAMES={1:'all',2:'root',3:'uniform',4:'leaves'};
+
+function derived_metric(base,name)
+{
+	var m=new NodeMetric(name);
+	m.metric=base.metric;
+	m._metric_from=base;
+	m.setBaseRelations(base.base_relations);
+	return m;
+}
+
+function suite_add(suite,metric,base,order,shift,family,axis,preset)
+{
+	suite.metrics.push(metric);
+	suite.entries.push({name:metric.name,base:base.name,order:order,shift:shift,family:family,axis:axis,preset:preset});
+}
+
+/**
+ * This method returns the number of metrics in this suite.
+ * @return number The number of metrics.
+ */
+MetricSuite.prototype.getNumOfMetrics=function()
+{
+	return this.metrics.length;
+};
+
+/**
+ * This method returns the index of a metric of this suite in its results.
+ * @param base The name of the base metric.
+ * @param order The order of the wavelet, or null (or omitted) for the base metric itself.
+ * @param shift The shift of the wavelet. The default value is 0.
+ * @return number The index of the metric, or -1 if it is not in this suite.
+ */
+MetricSuite.prototype.indexOf=function(base,order,shift)
+{
+	var o=typeof order==='undefined'?null:order;
+	var k=o==null?null:(shift||0);
+	for(var i=0;i<this.entries.length;i++)
+	{
+		var e=this.entries[i];
+		if(e.base==base && e.order===o && e.shift===k && e.preset==null) return i;
+	}
+	return -1;
+};
+
+/**
+ * This method returns the names of the metrics of this suite that match a condition, for example to select their columns in a ResultTable.<br><br>
+ * <b>Example:</b> table.select(suite.select({order:1}))
+ * @param condition An object with one or more of the fields base, order, shift, family, axis, and preset, whose values the metrics must have. Use null as the order to select the metrics that are not weighted by wavelets.
+ * @return Array An array with the names of the metrics.
+ */
+MetricSuite.prototype.select=function(condition)
+{
+	return this.entries.filter(function(e){
+		for(var field in condition) if(e[field]!==condition[field]) return false;
+		return true;
+	}).map(function(e){return e.name;});
+};
+
+/**
+ * This method regroups the wavelet coefficients of the results of one sentence (or of any array of values in the order of this suite, such as the values of a row of a ResultTable). Grouped by "base", the result is an object whose fields are the names of the base metrics, each with an object whose fields are the orders, each with an array of values by shift. Grouped by "order", the fields are the orders, each with an object whose fields are the names of the base metrics, each with an array of values by shift. The base metrics and the preset variants are not included.
+ * @param values An array of numbers with one value for each metric of this suite.
+ * @param by Either "base" or "order".
+ * @return Object The grouped values.
+ */
+MetricSuite.prototype.group=function(values,by)
+{
+	if(by!='base' && by!='order') throw new Error('Unknown grouping "'+by+'"; it must be "base" or "order".');
+	if(values.length!=this.entries.length) throw new Error('The values are '+values.length+' instead of '+this.entries.length+'.');
+	var out={};
+	for(var i=0;i<this.entries.length;i++)
+	{
+		var e=this.entries[i];
+		if(e.order==null) continue;
+		var a=by=='base'?e.base:e.order;
+		var b=by=='base'?e.order:e.base;
+		if(!out.hasOwnProperty(a)) out[a]={};
+		if(!out[a].hasOwnProperty(b)) out[a][b]=new Array();
+		out[a][b][e.shift]=values[i];
+	}
 	return out;
 };
 
 /**
- * This method applies one or more given metrics to this sentence. Optionally it can print out the results.
- * @param metrics A given metric or an array of metrics as NodeMetric object(s).
- * @param print An optional boolean flag for printing out the results. The default value is false.
- * @return Array An array of numbers with the values calculated by applying the given metrics to this sentence.
+ * This class defines and controls the structure of a syntactically annotated sentence. Object of this class are generated by the TreebankFile class when you load a particular treebank file formatted as an xml tree. It should be noted that in a syntactically annotated sentence each node is also a TreebankSentence element.
+ * @param parent An optional input argument with the parent of the node to be constructed given as a TreebankSentence object.
  */
-TreebankSentence.prototype.apply=function(metrics,print)
+function TreebankSentence(parent)
 {
-	var print_flag=true;
-	if(typeof print!=='undefined') print_flag=print;
+	this.parent=null;
+	this.sentence_id='';
+	this.file=null;
+	if(typeof parent!=='undefined') this.parent=parent;
+	if(this.parent==null)
+		this.root=this;
+	else this.root=this.parent.getRoot();
+	this.sentence_id=this.root.sentence_id;
+	this.file=this.root.file;
 	
-	var m=null;
-	if(metrics instanceof NodeMetric)
+	this.num='';
+	this.xml=null;
+	this.sentence_xml=null;
+	this.tree=null;
+	this.index=0;
+}
+
+/**
+ * This method compiles the tree that starts from this node as the root into arrays with the parent, the children, the depth, the size, and the height of each node, which are used by all other methods of the nodes instead of the xml elements. It is called by TreebankFile.getSentence() and it only needs to be called again if the xml elements of the tree are modified.
+ */
+TreebankSentence.prototype.compile=function()
+{
+	this.tree=compile_tree(this);
+	this.index=0;
+};
+
+function compile_tree(root)
+{
+	var tree={xml:[],nodes:[],parent:[],children:[],depth:[],size:[],height:[],words:[],max_family:[],order:[],relation:[],lemma:[],postag:[],form:[],virtual:[],sentence_attributes:{}};
+	if(root.sentence_xml)
+		for(var i=0;i<root.sentence_xml.attributes.length;i++)
+			tree.sentence_attributes[root.sentence_xml.attributes[i].name]=root.sentence_xml.attributes[i].value;
+	compile_node(tree,root.xml,-1,0);
+	create_nodes(tree,root);
+
+	//the order of the words as given by their ids, counting only the descendants of the root
+	var rank=[];
+	for(var k=1;k<tree.xml.length;k++)
 	{
-		m=new Array();
-		m[0]=metrics;
+		var id=parseInt(tree.xml[k].getAttribute('id'));
+		if(!isNaN(id)) rank[id]=1;
 	}
-	else m=metrics;
-	
-	var result=new Array(m.length);
-	
-	for(var i=0;i<m.length;i++)
+	var c=0;
+	for(var i=0;i<rank.length;i++)
+		if(rank[i]) rank[i]=++c;
+	for(var k=0;k<tree.xml.length;k++)
 	{
-		result[i]=m[i].apply(this);
-		if(print_flag) output.println(m[i].name+': '+result[i]);
+		var id=parseInt(tree.xml[k].getAttribute('id'));
+		if(tree.virtual[k]) tree.order[k]=0;
+		else if(isNaN(id) || typeof rank[id]==='undefined') tree.order[k]=-1;
+		else tree.order[k]=rank[id];
 	}
-	return result;
+	return tree;
 }
 
-function isArtificial(word_element)
+function create_nodes(tree,root)
 {
-	return word_element.hasAttribute('insertion_id');
+	tree.nodes[0]=root;
+	for(var k=1;k<tree.parent.length;k++)
+	{
+		var node=new TreebankSentence(tree.nodes[tree.parent[k]]);
+		node.xml=tree.xml[k]||null;
+		node.tree=tree;
+		node.index=k;
+		tree.nodes[k]=node;
+	}
 }
 
-function isPunctuation(word)
+var COMPILED_TREE_FIELDS=['parent','children','depth','size','height','words','max_family','order','relation','lemma','postag','form','virtual','sentence_attributes'];
+
+//a compiled sentence without its xml elements and node objects, which can be sent to a worker
+function export_tree(sentence)
 {
-	if(word.length==1)
+	var out={sentence_id:sentence.sentence_id,num:sentence.num};
+	for(var i=0;i<COMPILED_TREE_FIELDS.length;i++)
+		out[COMPILED_TREE_FIELDS[i]]=sentence.tree[COMPILED_TREE_FIELDS[i]];
+	return out;
+}
+
+function import_tree(data,file)
+{
+	var root=new TreebankSentence();
+	root.sentence_id=data.sentence_id;
+	root.num=data.num;
+	root.file=file;
+	var tree={xml:[],nodes:[]};
+	for(var i=0;i<COMPILED_TREE_FIELDS.length;i++)
+		tree[COMPILED_TREE_FIELDS[i]]=data[COMPILED_TREE_FIELDS[i]];
+	root.tree=tree;
+	create_nodes(tree,root);
+	return root;
+}
+
+function compile_node(tree,xml_element,parent,depth)
+{
+	var k=tree.xml.length;
+	tree.xml.push(xml_element);
+	tree.parent.push(parent);
+	tree.depth.push(depth);
+	tree.relation.push(xml_element.getAttribute('relation'));
+	tree.lemma.push(xml_element.getAttribute('lemma'));
+	tree.postag.push(xml_element.getAttribute('postag'));
+	tree.form.push(xml_element.getAttribute('form'));
+	tree.virtual.push(xml_element.getAttribute('virtual')=='true');
+	tree.children.push([]);
+	tree.size.push(1);
+	tree.height.push(0);
+	tree.words.push(xml_element.hasAttribute('insertion_id') || tree.virtual[k]?0:1);
+	tree.max_family.push(0);
+	var ch=xml_element.childNodes;
+	for(var i=0;i<ch.length;i++)
 	{
-		var ch=word.charAt(0);
-		var code=word.charCodeAt(0);
-		//console.log(ch+' '+code);
-		if(ch=='.' || ch==',' || ch=="'" || ch=='"' || ch==';' || ch=='-' || ch=='(' || ch==')' || code==183 || code==8211 || code==8220 || code==8221 || code==8217 || code==8125)
-			return true;
+		if(ch[i].nodeType!=1) continue;
+		var c=compile_node(tree,ch[i],k,depth+1);
+		tree.children[k].push(c);
+		tree.size[k]+=tree.size[c];
+		tree.words[k]+=tree.words[c];
+		if(tree.height[c]+1>tree.height[k]) tree.height[k]=tree.height[c]+1;
+		if(tree.max_family[c]>tree.max_family[k]) tree.max_family[k]=tree.max_family[c];
 	}
-	else if(word=='...') return true;
-	else return false;
+	if(tree.children[k].length>tree.max_family[k]) tree.max_family[k]=tree.children[k].length;
+	return k;
 }
 
-function greekToLatin(word)
+/**
+ * This method returns the relation of this node with its parent node (for example "ATR" or "ATR_CO"). While a metric with setBaseRelations() is applied, it returns the base relation instead (see getBaseRelation()).
+ * @return string The relation of this node.
+ */
+TreebankSentence.prototype.getRelation=function()
 {
-  
-  var lat="";
-  for(var i=0;i<word.length;i++)
-  {
-    var ch=word.charCodeAt(i);
-    if(ch==902|| ch==913 || ch==940 || ch==945 || (ch>=7936 && ch<=7951)||ch==8048 || ch==8049 || (ch>=8064 && ch<=8079) || (ch>=8112 && ch<=8124) ) //alphas
-    {
-      lat+='A';
-    } else if(ch==904||ch==917||ch==941||ch==949||(ch>=7952 && ch<=7967)||ch==8050 || ch==8051||ch==8136 || ch==8137) //epsilons
-    {
-      lat+='E';
-    } else if(ch==905||ch==919||ch==942||ch==951||(ch>=7968 && ch<=7983)||ch==8052 || ch==8053|| (ch>=8080 && ch<=8095)|| (ch>=8130 && ch<=8135) || (ch>=8138 && ch<=8140)) //etas
-    {
-      lat+='H';
-    } else if(ch==906||ch==912||ch==921||ch==938||ch==943||ch==953||ch==970||(ch>=7984 && ch<=7999)||ch==8054 || ch==8055 || (ch>=8144 && ch<=8155))//iotas
-    {
-      lat+='I';
-    } else if(ch==908||ch==927||ch==959||ch==972||(ch>=8000 && ch<=8015)||ch==8056 || ch==8057||ch==8084 || ch==8085)//omicrons
-    {
-      lat+='O';
-    } else if(ch==910||ch==933||ch==939||ch==965||ch==971||ch==973||(ch>=8016 && ch<=8031)||ch==8058 || ch==8059 || (ch>=8160 && ch<=8163)|| (ch>=8166 && ch<=8171)) //upsilons
-    {
-      lat+='Y';
-    } else if(ch==911||ch==937||ch==969||ch==974||(ch>=8032 && ch<=8047)||ch==8060 || ch==8061|| (ch>=8096 && ch<=8111)|| (ch>=8178 && ch<=8183)|| (ch>=8186 && ch<=8188)) //omegas
-    {
-      lat+='W';
-    } else if(ch==929||ch==961||ch==8164 || ch==8165 || ch==8172) //rhos
-    {
-      lat+='R';
-    } else if(ch==914||ch==946) //betas
-    {
-      lat+='B';
-    } else if(ch==915||ch==947) //gammas
-    {
-      lat+='G';
-    }else if(ch==916||ch==948) //deltas
-    {
-      lat+='D';
-    }else if(ch==918||ch==950) //zetas
-    {
-      lat+='Z';
-    }else if(ch==920||ch==952) //thetas
-    {
-      lat+='U';
-    }else if(ch==922||ch==954) //kappas
-    {
-      lat+='K';
-    }else if(ch==923||ch==955) //lambdas
-    {
-      lat+='L';
-    }else if(ch==924||ch==956) //mis
-    {
-      lat+='M';
-    }else if(ch==925||ch==957) //nis
+	if(this.tree.base_relations) return parse_relation(this.tree.relation[this.index]).base;
+	return this.tree.relation[this.index];
+};
+
+/**
+ * This method parses the relation of this node, which in AGDT can be a compound label such as "OBJ_AP_CO", and returns an object with the following fields: relation (the whole label), base (the relation without suffixes, for example "OBJ"), coordinated (true if the label has the suffix _CO, i.e. the node is a member of a coordination), apposition (true if it has the suffix _AP), elliptic (true if it has the suffix _ExD, or if the base relation is ExD), aux (the subtype of an Aux relation, for example "P" for AuxP, or an empty string), and known (true if the base relation and the suffixes are AGDT labels).
+ * @return Object The parsed relation of this node.
+ */
+TreebankSentence.prototype.getRelationInfo=function()
+{
+	var info=parse_relation(this.tree.relation[this.index]);
+	return {relation:info.relation,base:info.base,coordinated:info.coordinated,apposition:info.apposition,elliptic:info.elliptic,aux:info.aux,known:info.known};
+};
+
+/**
+ * This method returns the relation of this node without the suffixes _CO, _AP, and _ExD (for example "ATR" for "ATR_CO").
+ * @return string The base relation of this node.
+ */
+TreebankSentence.prototype.getBaseRelation=function()
+{
+	return parse_relation(this.tree.relation[this.index]).base;
+};
+
+/**
+ * This method returns true if the relation of this node is a given relation, ignoring the suffixes _CO, _AP, and _ExD, otherwise returns false. If the given relation is "Aux", any Aux relation matches.<br><br>
+ * <b>Example:</b> n.hasRelation('ATR') is true for ATR, ATR_CO, and ATR_AP_CO.
+ * @param relation The base relation to match (for example "ATR").
+ * @return boolean The returned value.
+ */
+TreebankSentence.prototype.hasRelation=function(relation)
+{
+	var info=parse_relation(this.tree.relation[this.index]);
+	if(relation=='Aux') return info.aux!='';
+	return info.base==relation;
+};
+
+/**
+ * This method returns true if this node is a member of a coordination (its relation has the suffix _CO) otherwise returns false.
+ * @return boolean The returned value.
+ */
+TreebankSentence.prototype.isCoordinated=function()
+{
+	return parse_relation(this.tree.relation[this.index]).coordinated;
+};
+
+/**
+ * This method returns true if this node is a member of an apposition (its relation has the suffix _AP) otherwise returns false.
+ * @return boolean The returned value.
+ */
+TreebankSentence.prototype.isApposition=function()
+{
+	return parse_relation(this.tree.relation[this.index]).apposition;
+};
+
+var parsed_relations={};
+
+//the parsed relations are shared, so they must not be modified
+function parse_relation(relation)
+{
+	var label=relation||'';
+	if(parsed_relations.hasOwnProperty(label)) return parsed_relations[label];
+	var parts=label.split('_');
+	var info={relation:label,base:parts[0],coordinated:false,apposition:false,elliptic:parts[0]=='ExD',aux:'',known:AGDT_TO_DEPREL.hasOwnProperty(parts[0])};
+	if(/^Aux.$/.test(parts[0])) info.aux=parts[0].charAt(3);
+	for(var i=1;i<parts.length;i++)
+	{
+		if(parts[i]=='CO') info.coordinated=true;
+		else if(parts[i]=='AP') info.apposition=true;
+		else if(parts[i]=='ExD') info.elliptic=true;
+		else info.known=false;
+	}
+	parsed_relations[label]=info;
+	return info;
+}
+
+/**
+ * This method returns the lemma of this node.
+ * @return string The lemma of this node.
+ */
+TreebankSentence.prototype.getLemma=function()
+{
+	return this.tree.lemma[this.index];
+};
+
+/**
+ * This method returns the pos. tag of this node.
+ * @return string The pos. tag of this node.
+ */
+TreebankSentence.prototype.getPosTag=function()
+{
+	return this.tree.postag[this.index];
+};
+
+/**
+ * The positions of an AGDT pos. tag and the human-readable names of their values, as used by getMorphology(). Each entry has the name of the field in the object returned by getMorphology() and an object that maps the characters of the tag to their names.
+ */
+TreebankSentence.MORPHOLOGY=[
+	{field:'pos',values:{n:'noun',v:'verb',t:'participle',a:'adjective',d:'adverb',l:'article',g:'particle',c:'conjunction',r:'preposition',p:'pronoun',m:'numeral',i:'interjection',u:'punctuation',x:'irregular',e:'exclamation'}},
+	{field:'person',values:{'1':'first','2':'second','3':'third'}},
+	{field:'number',values:{s:'singular',p:'plural',d:'dual'}},
+	{field:'tense',values:{p:'present',i:'imperfect',r:'perfect',l:'pluperfect',t:'future perfect',f:'future',a:'aorist'}},
+	{field:'mood',values:{i:'indicative',s:'subjunctive',o:'optative',n:'infinitive',m:'imperative',p:'participle'}},
+	{field:'voice',values:{a:'active',p:'passive',m:'middle',e:'medio-passive'}},
+	{field:'gender',values:{m:'masculine',f:'feminine',n:'neuter',c:'common'}},
+	{field:'case',values:{n:'nominative',g:'genitive',d:'dative',a:'accusative',b:'ablative',l:'locative',v:'vocative',i:'instrumental'}},
+	{field:'degree',values:{p:'positive',c:'comparative',s:'superlative'}}
+];
+
+/**
+ * This method decodes the pos. tag of this node and returns its morphology as an object with the fields pos, person, number, tense, mood, voice, gender, case, and degree. The values are human-readable names (see TreebankSentence.MORPHOLOGY), for example {pos:'verb', person:'third', number:'singular', tense:'aorist', mood:'indicative', voice:'active', gender:'', case:'', degree:''}. A position that is not given in the tag ("-") or that has an unknown character is an empty string.
+ * @return Object The morphology of this node.
+ */
+TreebankSentence.prototype.getMorphology=function()
+{
+	var morphology={};
+	for(var i=0;i<TreebankSentence.MORPHOLOGY.length;i++)
+		morphology[TreebankSentence.MORPHOLOGY[i].field]=morphology_value(this,i);
+	return morphology;
+};
+
+function morphology_value(node,position)
+{
+	var c=(node.tree.postag[node.index]||'').charAt(position);
+	var values=TreebankSentence.MORPHOLOGY[position].values;
+	return values.hasOwnProperty(c)?values[c]:'';
+}
+
+/**
+ * This method returns the part of speech of this node (for example "noun"), as in getMorphology().
+ * @return string The part of speech, or an empty string if it is not given.
+ */
+TreebankSentence.prototype.getPartOfSpeech=function()
+{
+	return morphology_value(this,0);
+};
+
+/**
+ * This method returns the person of this node ("first", "second", or "third").
+ * @return string The person, or an empty string if it is not given.
+ */
+TreebankSentence.prototype.getPerson=function()
+{
+	return morphology_value(this,1);
+};
+
+/**
+ * This method returns the grammatical number of this node ("singular", "plural", or "dual").
+ * @return string The number, or an empty string if it is not given.
+ */
+TreebankSentence.prototype.getNumber=function()
+{
+	return morphology_value(this,2);
+};
+
+/**
+ * This method returns the tense of this node (for example "aorist").
+ * @return string The tense, or an empty string if it is not given.
+ */
+TreebankSentence.prototype.getTense=function()
+{
+	return morphology_value(this,3);
+};
+
+/**
+ * This method returns the mood of this node (for example "indicative", "infinitive", or "participle").
+ * @return string The mood, or an empty string if it is not given.
+ */
+TreebankSentence.prototype.getMood=function()
+{
+	return morphology_value(this,4);
+};
+
+/**
+ * This method returns the voice of this node (for example "active").
+ * @return string The voice, or an empty string if it is not given.
+ */
+TreebankSentence.prototype.getVoice=function()
+{
+	return morphology_value(this,5);
+};
+
+/**
+ * This method returns the gender of this node ("masculine", "feminine", "neuter", or "common").
+ * @return string The gender, or an empty string if it is not given.
+ */
+TreebankSentence.prototype.getGender=function()
+{
+	return morphology_value(this,6);
+};
+
+/**
+ * This method returns the case of this node (for example "genitive").<br><br>
+ * <b>Example:</b> a metric that counts the participles in the genitive:<br><font style="font-family:Courier">
+ * function(n){if(n.isParticiple() && n.getCase()=='genitive') return 1; else return 0;}<br></font>
+ * @return string The case, or an empty string if it is not given.
+ */
+TreebankSentence.prototype.getCase=function()
+{
+	return morphology_value(this,7);
+};
+
+/**
+ * This method returns the degree of this node ("positive", "comparative", or "superlative").
+ * @return string The degree, or an empty string if it is not given.
+ */
+TreebankSentence.prototype.getDegree=function()
+{
+	return morphology_value(this,8);
+};
+
+/**
+ * This method returns true if this node is a verb, including participles and infinitives, otherwise returns false. It is the same as testing getPosTag()[0]=='v', except that it also accepts the AGDT 2 part of speech "t" for participles.
+ * @return boolean The returned value.
+ */
+TreebankSentence.prototype.isVerb=function()
+{
+	var c=(this.tree.postag[this.index]||'').charAt(0);
+	return c=='v' || c=='t';
+};
+
+/**
+ * This method returns true if this node is a participle (a verb with the mood "p", or the AGDT 2 part of speech "t") otherwise returns false.
+ * @return boolean The returned value.
+ */
+TreebankSentence.prototype.isParticiple=function()
+{
+	var tag=this.tree.postag[this.index]||'';
+	return tag.charAt(0)=='t' || (tag.charAt(0)=='v' && tag.charAt(4)=='p');
+};
+
+/**
+ * This method returns true if this node is an infinitive otherwise returns false.
+ * @return boolean The returned value.
+ */
+TreebankSentence.prototype.isInfinitive=function()
+{
+	var tag=this.tree.postag[this.index]||'';
+	return tag.charAt(0)=='v' && tag.charAt(4)=='n';
+};
+
+/**
+ * This method returns true if this node is a finite verb (a verb in the indicative, subjunctive, optative, or imperative) otherwise returns false.
+ * @return boolean The returned value.
+ */
+TreebankSentence.prototype.isFiniteVerb=function()
+{
+	var tag=this.tree.postag[this.index]||'';
+	var mood=tag.charAt(4);
+	return tag.charAt(0)=='v' && mood!='' && 'isom'.indexOf(mood)>=0;
+};
+
+/**
+ * This method returns true if this node is a noun otherwise returns false.
+ * @return boolean The returned value.
+ */
+TreebankSentence.prototype.isNoun=function()
+{
+	return (this.tree.postag[this.index]||'').charAt(0)=='n';
+};
+
+/**
+ * This method returns true if this node is an adjective otherwise returns false.
+ * @return boolean The returned value.
+ */
+TreebankSentence.prototype.isAdjective=function()
+{
+	return (this.tree.postag[this.index]||'').charAt(0)=='a';
+};
+
+/**
+ * This method returns true if this node is a pronoun otherwise returns false.
+ * @return boolean The returned value.
+ */
+TreebankSentence.prototype.isPronoun=function()
+{
+	return (this.tree.postag[this.index]||'').charAt(0)=='p';
+};
+
+/**
+ * This method returns true if this node is an article otherwise returns false.
+ * @return boolean The returned value.
+ */
+TreebankSentence.prototype.isArticle=function()
+{
+	return (this.tree.postag[this.index]||'').charAt(0)=='l';
+};
+
+/**
+ * This method returns true if this node is an adverb otherwise returns false.
+ * @return boolean The returned value.
+ */
+TreebankSentence.prototype.isAdverb=function()
+{
+	return (this.tree.postag[this.index]||'').charAt(0)=='d';
+};
+
+/**
+ * This method returns true if this node is a punctuation mark otherwise returns false.
+ * @return boolean The returned value.
+ */
+TreebankSentence.prototype.isPunctuation=function()
+{
+	return (this.tree.postag[this.index]||'').charAt(0)=='u';
+};
+
+/**
+ * This method returns the id of this node, which is the order of the word in the sentence starting from 1. The virtual root of a sentence (see TreebankFile.VIRTUAL_ROOT) has the id 0.
+ * @return number The id of this node.
+ */
+TreebankSentence.prototype.getId=function()
+{
+	return this.tree.order[this.index];
+};
+
+/**
+ * This method returns the document_id attribute of the sentence to which this node belongs, i.e. the identifier of the source document (for example a CTS URN).
+ * @return string The document id, or an empty string if it is not given.
+ */
+TreebankSentence.prototype.getDocumentId=function()
+{
+	return sentence_attribute(this,'document_id');
+};
+
+/**
+ * This method returns the subdoc attribute of the sentence to which this node belongs, i.e. the passage of the source document (for example "1.1-1.2").
+ * @return string The passage, or an empty string if it is not given.
+ */
+TreebankSentence.prototype.getSubdoc=function()
+{
+	return sentence_attribute(this,'subdoc');
+};
+
+/**
+ * This method returns the span attribute of the sentence to which this node belongs.
+ * @return string The span, or an empty string if it is not given.
+ */
+TreebankSentence.prototype.getSpan=function()
+{
+	return sentence_attribute(this,'span');
+};
+
+function sentence_attribute(node,name)
+{
+	var a=node.tree.sentence_attributes;
+	if(typeof a[name]==='undefined') return '';
+	return a[name];
+}
+
+/**
+ * This method returns the root node of the syntactical tree to which this node belongs.
+ * @return TreebankSentence The root node object.
+ */
+TreebankSentence.prototype.getRoot=function()
+{
+	return this.root;
+};
+
+/**
+ * This method returns the treebank file object to which this node belongs.
+ * @return TreebankFile The treebank file object.
+ */
+TreebankSentence.prototype.getFile=function()
+{
+	return this.file;
+};
+
+/**
+ * This method returns true if this node is a leaf otherwise returns false.
+ * @return boolean The returned value.
+ */
+TreebankSentence.prototype.isLeaf=function()
+{
+	return this.tree.children[this.index].length==0;
+}
+
+/**
+ * This method returns true if this node is a virtual root that was added above the top-level words of its sentence (see TreebankFile.VIRTUAL_ROOT) otherwise returns false.
+ * @return boolean The returned value.
+ */
+TreebankSentence.prototype.isVirtualRoot=function()
+{
+	return this.tree.virtual[this.index];
+};
+
+/**
+ * This method returns true if this node is the root node otherwise returns false.
+ * @return boolean The returned value.
+ */
+TreebankSentence.prototype.isRoot=function()
+{
+	if(this==this.root) return true; 
+	else return false;
+};
+
+/**
+ * This method returns the number of children of this node.
+ * @return integer The number of children.
+ */
+TreebankSentence.prototype.getNumOfChildren=function(height)
+{
+	var h=0;
+	if(typeof height !=='undefined') h=height;
+	if(h==0) return this.tree.children[this.index].length;
+	return count_generations(this)[h+1]||0;
+};
+
+//the number of nodes in each generation of the subtree of a node, cached in the node
+function count_generations(node)
+{
+	if(node._generations) return node._generations;
+	var t=node.tree;
+	var g=[];
+	var d=t.depth[node.index];
+	var end=node.index+t.size[node.index];
+	for(var k=node.index;k<end;k++)
+		g[t.depth[k]-d]=(g[t.depth[k]-d]||0)+1;
+	node._generations=g;
+	return g;
+}
+
+/**
+ * This method returns the node object of this node's parent or null of this node is the root.
+ * @return TreebankSentence The object of the parent node.
+ */
+TreebankSentence.prototype.getParent=function()
+{
+	if(this.parent==this.root) return null; else return this.parent;
+};
+
+/**
+ * This method returns an array with the children of this node.
+ * @return Array An array with the children of this node given as TreebankSentence objects.
+ */
+TreebankSentence.prototype.getChildren=function()
+{
+	var c=this.tree.children[this.index];
+	var children=new Array(c.length);
+	for(var i=0;i<c.length;i++)
+		children[i]=this.tree.nodes[c[i]];
+	return children;
+};
+
+/**
+ * This method returns the width of the tree starting from this node as the root. It is calculated as the maximum number of nodes that belong to the same generation.
+ * @return number The width of the tree.
+ */
+TreebankSentence.prototype.getWidth=function()
+{
+	var g=count_generations(this);
+	var max_width=0;
+	for(var i=1;i<g.length;i++)
+		if(g[i]>max_width)max_width=g[i];
+	return max_width;
+};
+
+/**
+ * This method returns the size of the largest family of the tree that starts from this node as the root. It is calculated as the maximum number of children that one node can have in this tree.
+ * @return number The width of the largest family.
+ */
+TreebankSentence.prototype.getMaxFamilyWidth=function()
+{
+	return this.tree.max_family[this.index];
+};
+
+/**
+ * This method returns the depth of this node, i.e. the number of generations between the root of its sentence and this node. The root has the depth 0.
+ * @return number The depth of this node.
+ */
+TreebankSentence.prototype.getDepth=function()
+{
+	return this.tree.depth[this.index];
+};
+
+/**
+ * This method returns the height of the tree starting from this node as the root. It is calculated as the maximum number of generations in this tree.
+ * @return number The height of the tree.
+ */
+TreebankSentence.prototype.getHeight=function()
+{
+	return this.tree.height[this.index];
+};
+
+/**
+ * This method returns the words in the tree that starts form this node as a root. The nodes that do not contain words (such as punctuation nodes) are not counted.
+ * @return number The number of words.
+ */
+TreebankSentence.prototype.getNumOfWords=function()
+{
+	return this.tree.words[this.index];
+};
+
+/**
+ * This method returns the nodes in the tree that starts form this node as a root.
+ * @return number The number of nodes.
+ */
+TreebankSentence.prototype.getNumOfNodes=function()
+{
+	return this.tree.size[this.index];
+};
+
+TreebankSentence.NO_PUNCTUATION=2;
+TreebankSentence.WITH_ARTIFICIAL=4;
+TreebankSentence.GREEK_TO_LATIN=8;
+
+/**
+ * This method returns the form of this node.
+ * @return string The form of this node.
+ */
+TreebankSentence.prototype.getForm=function()
+{
+	return this.tree.form[this.index];
+};
+
+/**
+ * This method exports this sentence as a string.
+ * @param input_flags The exported string can be generated by a comination of the following flags using binary addition: TreebankSentence.NO_PUNCTUATION (does not include punctuation in the result), TreebankSentence.WITH_ARTIFICIAL (includes punctuation in the result), TreebankSentence.GREEK_TO_LATIN (transliterates the result to the latin alphabet using 1-1 character mapping). Example: sentence.toString(TreebankSentence.WITH_ARTIFICIAL|TreebankSentence.GREEK_TO_LATIN);
+ * @return string The exported sentence.
+ */
+TreebankSentence.prototype.toString=function(input_flags)
+{
+	var flags=0;
+	if(typeof flags!=='undefined') flags=input_flags;
+	
+	var with_artif=((flags & TreebankSentence.WITH_ARTIFICIAL)>0);
+	var no_punct=((flags & TreebankSentence.NO_PUNCTUATION)>0);
+	
+	var w=this.xml.getElementsByTagName('word');
+	var w2=new Array(w.length);
+	for(var i=0;i<w.length;i++)
+		w2[parseInt(w[i].getAttribute('id'))-1]=w[i];
+	
+	var out='';
+	var no_space=false;
+	var no_space_after=false;
+	var form='';
+	for(var i=0;i<w2.length;i++)
+	{
+		form=w2[i].getAttribute('form');
+		if(form.length>0)
+		{
+			if(form.charAt(0)=='-')
+			{
+				form=form.substring(1,form.length);
+				no_space=true;
+			}
+			else if(form.charAt(form.length-1)=='-') 
+			{
+				form=form.substring(0,form.length-1);
+				no_space_after=true;
+			}
+		}
+		if(no_punct && !isPunctuation(form) && isPunctuation(form.charAt(form.length-1)))
+		{
+			form=form.substring(0,form.length-1);
+		}
+		
+		if(with_artif || !isArtificial(w2[i]))
+		{
+			if(isPunctuation(form))
+			{
+				if(!no_punct)
+				{
+					if(form=='(')
+					{
+						out+=' '+form;
+						no_space=true;
+					}
+					else out+=form;
+				}
+			}
+			else
+			{	
+				if(no_space)
+				{
+					out+=form;
+					no_space=false;
+				}
+				else out+=' '+form;
+				
+				if(no_space_after)
+				{
+					no_space_after=false;
+					no_space=true;
+				}
+			}
+		}
+	}
+	out=out+' ';
+	
+	if((flags & TreebankSentence.GREEK_TO_LATIN)>0) out=greekToLatin(out);
+	
+	return out;
+};
+
+/**
+ * This method applies one or more given metrics to this sentence. Optionally it can print out the results.
+ * @param metrics A given metric or an array of metrics as NodeMetric object(s), or a MetricSuite.
+ * @param print An optional boolean flag for printing out the results. The default value is false.
+ * @param detailed An optional boolean flag for returning the contribution of each node (see NodeMetric.apply()). The default value is false.
+ * @return Array An array of numbers with the values calculated by applying the given metrics to this sentence, or of objects with the fields total and nodes if detailed is true.
+ */
+TreebankSentence.prototype.apply=function(metrics,print,detailed)
+{
+	var print_flag=true;
+	if(typeof print!=='undefined') print_flag=print;
+	
+	var m=metric_list(metrics);
+	
+	var result=new Array(m.length);
+	
+	for(var i=0;i<m.length;i++)
+	{
+		result[i]=m[i].apply(this,detailed);
+		if(print_flag) output.println(m[i].name+': '+(detailed?result[i].total:result[i]));
+	}
+	return result;
+}
+
+function isArtificial(word_element)
+{
+	return word_element.hasAttribute('insertion_id');
+}
+
+function isPunctuation(word)
+{
+	if(word.length==1)
+	{
+		var ch=word.charAt(0);
+		var code=word.charCodeAt(0);
+		//console.log(ch+' '+code);
+		if(ch=='.' || ch==',' || ch=="'" || ch=='"' || ch==';' || ch=='-' || ch=='(' || ch==')' || code==183 || code==8211 || code==8220 || code==8221 || code==8217 || code==8125)
+			return true;
+	}
+	else if(word=='...') return true;
+	else return false;
+}
+
+function greekToLatin(word)
+{
+  
+  var lat="";
+  for(var i=0;i<word.length;i++)
+  {
+    var ch=word.charCodeAt(i);
+    if(ch==902|| ch==913 || ch==940 || ch==945 || (ch>=7936 && ch<=7951)||ch==8048 || ch==8049 || (ch>=8064 && ch<=8079) || (ch>=8112 && ch<=8124) ) //alphas
+    {
+      lat+='A';
+    } else if(ch==904||ch==917||ch==941||ch==949||(ch>=7952 && ch<=7967)||ch==8050 || ch==8051||ch==8136 || ch==8137) //epsilons
+    {
+      lat+='E';
+    } else if(ch==905||ch==919||ch==942||ch==951||(ch>=7968 && ch<=7983)||ch==8052 || ch==8053|| (ch>=8080 && ch<=8095)|| (ch>=8130 && ch<=8135) || (ch>=8138 && ch<=8140)) //etas
+    {
+      lat+='H';
+    } else if(ch==906||ch==912||ch==921||ch==938||ch==943||ch==953||ch==970||(ch>=7984 && ch<=7999)||ch==8054 || ch==8055 || (ch>=8144 && ch<=8155))//iotas
+    {
+      lat+='I';
+    } else if(ch==908||ch==927||ch==959||ch==972||(ch>=8000 && ch<=8015)||ch==8056 || ch==8057||ch==8084 || ch==8085)//omicrons
+    {
+      lat+='O';
+    } else if(ch==910||ch==933||ch==939||ch==965||ch==971||ch==973||(ch>=8016 && ch<=8031)||ch==8058 || ch==8059 || (ch>=8160 && ch<=8163)|| (ch>=8166 && ch<=8171)) //upsilons
+    {
+      lat+='Y';
+    } else if(ch==911||ch==937||ch==969||ch==974||(ch>=8032 && ch<=8047)||ch==8060 || ch==8061|| (ch>=8096 && ch<=8111)|| (ch>=8178 && ch<=8183)|| (ch>=8186 && ch<=8188)) //omegas
+    {
+      lat+='W';
+    } else if(ch==929||ch==961||ch==8164 || ch==8165 || ch==8172) //rhos
+    {
+      lat+='R';
+    } else if(ch==914||ch==946) //betas
+    {
+      lat+='B';
+    } else if(ch==915||ch==947) //gammas
+    {
+      lat+='G';
+    }else if(ch==916||ch==948) //deltas
+    {
+      lat+='D';
+    }else if(ch==918||ch==950) //zetas
+    {
+      lat+='Z';
+    }else if(ch==920||ch==952) //thetas
+    {
+      lat+='U';
+    }else if(ch==922||ch==954) //kappas
+    {
+      lat+='K';
+    }else if(ch==923||ch==955) //lambdas
+    {
+      lat+='L';
+    }else if(ch==924||ch==956) //mis
+    {
+      lat+='M';
+    }else if(ch==925||ch==957) //nis
     {
       lat+='N';
     }else if(ch==926||ch==958) //ksis
@@ -638,311 +2009,2554 @@ function greekToLatin(word)
 }
 
 /**
- * This class defines and controls the contents of a treebank file given as an xml tree in the metreex.org database.<br><br>
+ * This class defines and controls the contents of a treebank file given as an xml tree in the metreex.org database.<br><br>
+ * <b>Example:</b><br><font style="font-family:Courier">
+ * var t=new TreebankFile();<br>
+ * t.onload=function()<br>
+ * {<br>
+ *		t.apply(metrics,true);<br>
+ *	};<br>
+ *	t.load('an_xml_file_id');<br></font>
+ */
+function TreebankFile()
+{
+	this.id='';
+	this.xml=null;
+	this.info={};
+	this.checksum='';
+	this.source_format='';
+	this.root_policy=TreebankFile.LARGEST_ROOT;
+	this._sentences={};
+	this._virtual_document=null;
+} 
+
+/**
+ * The root policy by which getSentence() keeps only the top-level word with the most children when a sentence has more than one top-level word. The other top-level words and their subtrees are dropped. This is the default policy.
+ */
+TreebankFile.LARGEST_ROOT='largest';
+
+/**
+ * The root policy by which getSentence() places all top-level words of a sentence under a virtual root node with id 0, as the root of the AGDT format, when the sentence has more than one top-level word. The virtual root has no form, lemma, postag, or relation and it is not counted as a word, but it is a node, so it adds 1 to the height of the sentence and to the number of nodes by which metrics that sum to one are normalized. A sentence with a single top-level word keeps it as its root, so it gives the same results as under TreebankFile.LARGEST_ROOT.
+ */
+TreebankFile.VIRTUAL_ROOT='virtual';
+
+/**
+ * This method returns a metadata field of this file that was given in the manifest of its collection (for example "author", "work", "passage", "genre", or "date").
+ * @param field The name of the field.
+ * @return string The value of the field, or an empty string if the field was not given.
+ */
+TreebankFile.prototype.getInfo=function(field)
+{
+	if(typeof this.info[field]==='undefined' || this.info[field]==null) return '';
+	return this.info[field];
+};
+
+/**
+ * This method returns the title property of this file.
+ * @return string The title of this file.
+ */
+TreebankFile.prototype.getTitle=function()
+{
+	var e=this.xml.getElementsByTagName('field');
+	for(var i=0;i<e.length;i++)
+	{
+		if(e[i].getAttribute('name')=='title')
+			return e[i].getAttribute('value');
+	}
+	return '';
+};
+
+/**
+ * This method returns the value of a &lt;field&gt; element of this file (for example "id", "title", or "date_created").
+ * @param name The name of the field.
+ * @return string The value of the field, or an empty string if this file does not have such a field.
+ */
+TreebankFile.prototype.getField=function(name)
+{
+	var e=this.xml.getElementsByTagName('field');
+	for(var i=0;i<e.length;i++)
+	{
+		if(e[i].getAttribute('name')==name)
+			return e[i].getAttribute('value');
+	}
+	return '';
+};
+
+/**
+ * This method returns the id of this treebank in the metreex.org database, given by the "id" field of this file or by the id attribute of its &lt;treebank&gt; element. It should not be confused with the id that was used to load the file, which is stored in the property id.
+ * @return string The id of the treebank.
+ */
+TreebankFile.prototype.getTreebankId=function()
+{
+	var id=this.getField('id');
+	if(id=='') id=treebank_attribute(this,'id');
+	return id;
+};
+
+/**
+ * This method returns the creation date of this file, given by its "date_created" field.
+ * @return string The creation date, or an empty string if it is not known.
+ */
+TreebankFile.prototype.getDateCreated=function()
+{
+	return this.getField('date_created');
+};
+
+/**
+ * This method returns the language of this treebank, given by the xml:lang attribute of its &lt;treebank&gt; element (for example "grc").
+ * @return string The language code, or an empty string if it is not known.
+ */
+TreebankFile.prototype.getLanguage=function()
+{
+	return treebank_attribute(this,'xml:lang');
+};
+
+/**
+ * This method returns the format of this treebank, given by the format attribute of its &lt;treebank&gt; element (for example "mtrx" or "aldt").
+ * @return string The format, or an empty string if it is not known.
+ */
+TreebankFile.prototype.getFormat=function()
+{
+	return treebank_attribute(this,'format');
+};
+
+/**
+ * This method returns the version of the format of this treebank, given by the version attribute of its &lt;treebank&gt; element.
+ * @return string The version, or an empty string if it is not known.
+ */
+TreebankFile.prototype.getVersion=function()
+{
+	return treebank_attribute(this,'version');
+};
+
+/**
+ * This method returns the date of this treebank, given by the date attribute of its &lt;treebank&gt; element.
+ * @return string The date, or an empty string if it is not known.
+ */
+TreebankFile.prototype.getDate=function()
+{
+	return treebank_attribute(this,'date');
+};
+
+/**
+ * This method returns the annotators of this treebank as listed in its &lt;annotator&gt; elements.
+ * @return Array An array of objects with the fields short, name, address, and uri. Missing values are given as empty strings.
+ */
+TreebankFile.prototype.getAnnotators=function()
+{
+	var e=this.xml.getElementsByTagName('annotator');
+	var annotators=new Array(e.length);
+	for(var i=0;i<e.length;i++)
+	{
+		annotators[i]={};
+		var fields=['short','name','address','uri'];
+		for(var j=0;j<fields.length;j++)
+		{
+			var f=child_elements(e[i],fields[j]);
+			annotators[i][fields[j]]=f.length>0?f[0].textContent.trim():'';
+		}
+	}
+	return annotators;
+};
+
+/**
+ * This method returns all the metadata of this file in one object, which can be used for labeling results. It contains the fields title, id, date_created, language, format, version, date, and annotators (see the corresponding methods), and the fields given for this file in the manifest of its collection (see getInfo()), which take precedence over the fields of the file.
+ * @return Object The metadata of this file.
+ */
+TreebankFile.prototype.getMetadata=function()
+{
+	var metadata={};
+	metadata.title=this.getTitle();
+	metadata.id=this.getTreebankId();
+	metadata.date_created=this.getDateCreated();
+	metadata.language=this.getLanguage();
+	metadata.format=this.getFormat();
+	metadata.version=this.getVersion();
+	metadata.date=this.getDate();
+	metadata.annotators=this.getAnnotators();
+	for(var field in this.info) if(field!='path') metadata[field]=this.info[field];
+	return metadata;
+};
+
+function treebank_attribute(file,name)
+{
+	var e=file.xml.getElementsByTagName('treebank');
+	if(e.length==0 || !e[0].hasAttribute(name)) return '';
+	return e[0].getAttribute(name);
+}
+
+/**
+ * This method returns the number of sentences in this file.
+ * @return number The number of sentences in this file.
+ */
+TreebankFile.prototype.getNumOfSentences=function()
+{
+	var e=this.xml.getElementsByTagName('sentence');
+	return e.length;
+};
+
+/**
+ * This method returns a particular sentence from this file. The sentence is compiled on the first call (see TreebankSentence.compile()) and the same object is returned by the next calls with the same root policy.
+ * @param i The sequential number of the sentence in need, starting from 0.
+ * @return TreebankSentence The sentence returned as a TreebankSentence object. 
+ */
+TreebankFile.prototype.getSentence=function(i)
+{
+	var cache=this._sentences[this.root_policy];
+	if(cache && cache[i]) return cache[i];
+	var e=this.xml.getElementsByTagName('sentence');
+	if(i>=e.length) return null;
+	
+	var s=new TreebankSentence();
+	s.sentence_id=e[i].getAttribute('id');
+	s.file=this;
+	s.num=i;
+	s.sentence_xml=e[i];
+	var top=child_elements(e[i],'word');
+	if(this.root_policy==TreebankFile.VIRTUAL_ROOT && top.length>1) s.xml=virtual_root(this,top);
+	else if(top.length>0) s.xml=top[largest_root(top)];
+	s.compile();
+	if(!cache) cache=this._sentences[this.root_policy]=new Array();
+	cache[i]=s;
+	return s;
+}
+
+/**
+ * This method sets how getSentence() handles the sentences that have more than one top-level word.
+ * @param policy The root policy, given as TreebankFile.LARGEST_ROOT or TreebankFile.VIRTUAL_ROOT.
+ */
+TreebankFile.prototype.setRootPolicy=function(policy)
+{
+	if(policy!=TreebankFile.LARGEST_ROOT && policy!=TreebankFile.VIRTUAL_ROOT)
+		throw new Error('Unknown root policy "'+policy+'".');
+	this.root_policy=policy;
+};
+
+/**
+ * This method counts the nodes that getSentence() drops from the sentences of this file under a given root policy, i.e. the top-level words that are not kept and their subtrees.
+ * @param policy An optional root policy, given as TreebankFile.LARGEST_ROOT or TreebankFile.VIRTUAL_ROOT. The default value is the current policy of this file.
+ * @return Object An object with the fields sentences (the number of sentences that lose nodes), nodes (the number of dropped nodes), and total (the number of words in this file).
+ */
+TreebankFile.prototype.countDroppedNodes=function(policy)
+{
+	var p=this.root_policy;
+	if(typeof policy!=='undefined') p=policy;
+	var count={sentences:0,nodes:0,total:0};
+	var e=this.xml.getElementsByTagName('sentence');
+	for(var i=0;i<e.length;i++)
+	{
+		count.total+=e[i].getElementsByTagName('word').length;
+		var dropped=p==TreebankFile.VIRTUAL_ROOT?0:count_dropped_nodes(child_elements(e[i],'word'));
+		if(dropped>0)
+		{
+			count.sentences+=1;
+			count.nodes+=dropped;
+		}
+	}
+	return count;
+};
+
+function largest_root(top)
+{
+	var kept=0;
+	for(var i=1;i<top.length;i++)
+		if(top[i].childNodes.length>top[kept].childNodes.length) kept=i;
+	return kept;
+}
+
+function count_dropped_nodes(top)
+{
+	var kept=largest_root(top);
+	var dropped=0;
+	for(var i=0;i<top.length;i++)
+		if(i!=kept) dropped+=top[i].getElementsByTagName('word').length+1;
+	return dropped;
+}
+
+//the virtual roots are kept in a separate document, so that the document of the file is not modified
+function virtual_root(file,top)
+{
+	if(!file._virtual_document) file._virtual_document=TreebankFile.createDocument();
+	var doc=file._virtual_document;
+	var root=doc.createElement('word');
+	root.setAttribute('id','0');
+	root.setAttribute('form','');
+	root.setAttribute('lemma','');
+	root.setAttribute('postag','');
+	root.setAttribute('relation','');
+	root.setAttribute('virtual','true');
+	for(var i=0;i<top.length;i++)
+		root.appendChild(doc.importNode(top[i],true));
+	return root;
+}
+
+/**
+ * This method returns the total number of nodes in this file calculated as the sum of the number of nodes of each sentence in this file.
+ * @return number The total number of nodes in this file.
+ */
+TreebankFile.prototype.getNumOfNodes=function()
+{
+	var n=this.getNumOfSentences();
+	var sum=0;
+	for(var i=0;i<n;i++)
+		sum+=this.getSentence(i).getNumOfNodes();
+		
+	return sum;
+};
+
+/**
+ * This method applies one or more given metrics to all sentences in this file. Optionally it can print out the results.
+ * @param metrics A given metric or an array of metrics as NodeMetric object(s), or a MetricSuite.
+ * @param print An optional boolean flag for printing out the results. The default value is false.
+ * @param detailed An optional boolean flag for returning the contribution of each node (see NodeMetric.apply()). The default value is false.
+ * @return Array An array of array of numbers with the values calculated by applying the given metrics to all sentences in this file, or of objects with the fields total and nodes if detailed is true.
+ */
+TreebankFile.prototype.apply=function(metrics,print,detailed)
+{
+	var print_flag=true;
+	if(typeof print!=='undefined') print_flag=print;
+	
+	var n=this.getNumOfSentences();
+	var results=new Array(n);
+	for(var i=0;i<n;i++)
+	{
+		var s=this.getSentence(i);
+		results[i]=s.apply(metrics,false,detailed);
+		if(print_flag)
+		{
+			var txt=''+s.sentence_id;
+			for(var j=0;j<results[i].length;j++)
+				txt+=' '+(detailed?results[i][j].total:results[i][j]).toFixed(2);
+			output.println(txt);
+		}
+	}	
+	return results;
+}
+
+/**
+ * This method checks the structure and the annotation of all sentences in this file and returns a report of the problems found. The problems have one of the following types:<br>
+ * "empty-sentence": a sentence without words,<br>
+ * "multiple-roots": a sentence with more than one top-level word, of which getSentence() keeps only one,<br>
+ * "missing-id", "duplicate-id", "invalid-id": a word without id, with the id of another word of the same sentence, or with an id that is not a positive integer,<br>
+ * "id-gap": missing numbers in the ids of a sentence,<br>
+ * "empty-relation", "unknown-relation": a word with an empty relation, or with a relation that is not an AGDT label (optionally followed by _CO, _AP, or _ExD),<br>
+ * "malformed-postag": a word whose postag does not have 9 valid AGDT characters,<br>
+ * "punctuation-relation": a punctuation word (postag u) whose relation is not one of the Aux relations, or COORD or APOS when it heads a coordination or an apposition,<br>
+ * "missing-insertion-id": an artificial word without insertion_id.
+ * @return Object A report with the fields file (the id of this file), sentences (the number of sentences checked), problems (an array of objects with the fields type, sentence, word, and message), and counts (the number of problems of each type).
+ */
+TreebankFile.prototype.validate=function()
+{
+	var report={file:this.id,sentences:0,problems:new Array(),counts:{}};
+	var e=this.xml.getElementsByTagName('sentence');
+	for(var i=0;i<e.length;i++)
+		validate_sentence(e[i],report);
+	report.sentences=e.length;
+	return report;
+};
+
+var AGDT_POSTAG_VALUES=['nvtadlgcrpmiuxe-','123-','spd-','pirltfa-','isonmpdgu-','apmed-','mfnc-','ngdablvi-','pcs-'];
+
+function validate_sentence(sentence,report)
+{
+	var sid=sentence.getAttribute('id');
+	var top=child_elements(sentence,'word');
+	if(top.length==0) add_problem(report,'empty-sentence',sid,'','the sentence has no words');
+	else if(top.length>1)
+	{
+		var ids=top.map(function(w){return w.getAttribute('id');});
+		var kept=largest_root(top);
+		var dropped=count_dropped_nodes(top);
+		add_problem(report,'multiple-roots',sid,'',top.length+' top-level words (ids '+ids.join(', ')+'); getSentence() keeps word '+ids[kept]+' and drops '+dropped+' word'+(dropped==1?'':'s'));
+	}
+
+	var words=sentence.getElementsByTagName('word');
+	var seen={};
+	var numbers=new Array();
+	for(var i=0;i<words.length;i++)
+	{
+		var w=words[i];
+		var id=w.hasAttribute('id')?w.getAttribute('id'):'';
+		if(id=='') add_problem(report,'missing-id',sid,'','word "'+w.getAttribute('form')+'" has no id');
+		else if(seen[id]) add_problem(report,'duplicate-id',sid,id,'the id '+id+' is used by more than one word');
+		else
+		{
+			seen[id]=true;
+			if(/^[1-9][0-9]*$/.test(id)) numbers.push(parseInt(id));
+			else add_problem(report,'invalid-id',sid,id,'the id "'+id+'" is not a positive integer');
+		}
+
+		var relation=w.hasAttribute('relation')?w.getAttribute('relation'):'';
+		if(relation=='') add_problem(report,'empty-relation',sid,id,'empty relation');
+		else if(!is_agdt_relation(relation)) add_problem(report,'unknown-relation',sid,id,'unknown relation "'+relation+'"');
+
+		var postag=w.hasAttribute('postag')?w.getAttribute('postag'):'';
+		if(!is_agdt_postag(postag)) add_problem(report,'malformed-postag',sid,id,postag==''?'empty postag':'malformed postag "'+postag+'"');
+		else if(postag.charAt(0)=='u' && relation.substring(0,3)!='Aux' && !/^(COORD|APOS)(_|$)/.test(relation))
+			add_problem(report,'punctuation-relation',sid,id,'punctuation attached as "'+relation+'" instead of an Aux relation');
+
+		if(w.hasAttribute('artificial') && !w.getAttribute('insertion_id'))
+			add_problem(report,'missing-insertion-id',sid,id,'artificial word without insertion_id');
+	}
+
+	numbers.sort(function(a,b){return a-b;});
+	var expected=1;
+	for(var i=0;i<numbers.length;i++)
+	{
+		if(numbers[i]>expected)
+			add_problem(report,'id-gap',sid,'','missing id'+(numbers[i]-expected>1?'s '+expected+'-'+(numbers[i]-1):' '+expected));
+		expected=numbers[i]+1;
+	}
+}
+
+function add_problem(report,type,sentence,word,message)
+{
+	report.problems.push({type:type,sentence:sentence,word:word,message:message});
+	report.counts[type]=(report.counts[type]||0)+1;
+}
+
+function is_agdt_relation(relation)
+{
+	return parse_relation(relation).known;
+}
+
+function is_agdt_postag(postag)
+{
+	if(postag.length!=AGDT_POSTAG_VALUES.length) return false;
+	for(var i=0;i<postag.length;i++)
+		if(AGDT_POSTAG_VALUES[i].indexOf(postag.charAt(i))<0) return false;
+	return true;
+}
+
+/**
+ * This is a callback method that will be called when this treebank file is loaded. It is initially empty.
+ */
+TreebankFile.prototype.onload=function(){};
+
+TreebankFile.prototype._onload=function(){if(typeof output !=='undefined') output.println('File id='+this.id+' loaded.');this.onload();};
+
+/**
+ * This is a callback method that will be called if this treebank file could not be loaded. It is initially empty.
+ * @param error An Error object with a message that names the file and the cause of the failure. Its fields file and cause contain the id of the file and the cause.
+ */
+TreebankFile.prototype.onerror=function(error){};
+
+/**
+ * This method retrieves a resource (such as a treebank file) with a given id. It is used by the load() methods of this library and it can be replaced in order to load the treebanks from a different source. By default it uses vn.http() from op.n; the headless loader metreex-node.js replaces it with a method that reads the files from the local filesystem.
+ * @param id The id or the path of the resource.
+ * @param mime The mime type of the resource (for example "text/xml").
+ * @return Promise A promise that is resolved with an object that has the fields status, responseText, and responseXML.
+ */
+TreebankFile.fetch=function(id,mime)
+{
+	return vn.http(id,{mime:mime});
+};
+
+/**
+ * This method creates an empty XML document. It is used by the importers of this library to build treebank files in the nested mtrx format, and it can be replaced in environments without a DOM implementation (metreex-node.js replaces it).
+ * @return Document The new document.
+ */
+TreebankFile.createDocument=function()
+{
+	return document.implementation.createDocument(null,null,null);
+};
+
+/**
+ * This method parses a string with an XML document. It is used when a treebank file was retrieved as text (for example in order to compare its checksum with a cache) and it can be replaced in environments without a DOM implementation (metreex-node.js replaces it).
+ * @param text The XML document given as a string.
+ * @return Document The parsed document.
+ */
+TreebankFile.parseXML=function(text)
+{
+	return new DOMParser().parseFromString(text,"text/xml");
+};
+
+/**
+ * This object contains the treebank formats that can be loaded by this library. Each format is an object with the fields mime (the mime type used for retrieving the file), extension (an optional file extension by which the format is recognized), detect (an optional method that returns true if a given loaded request is in this format), and toMtrx (a method that converts a loaded request into a document in the nested mtrx format, in which the tree of each sentence is given by nested &lt;word&gt; elements). The available formats are "mtrx", "agdt" (the flat format of the Ancient Greek and Latin Dependency Treebanks and Arethusa, in which each word points to its parent with a head attribute), "conllu" (the CoNLL-U format of Universal Dependencies, recognized by the extension .conllu), and "proiel" (the XML format of the PROIEL treebank).
+ */
+TreebankFile.formats={};
+
+TreebankFile.formats.mtrx={
+	mime:"text/xml",
+	toMtrx:function(request,id){return request.responseXML;}
+};
+
+TreebankFile.formats.agdt={
+	mime:"text/xml",
+	detect:function(request)
+	{
+		var w=request.responseXML.getElementsByTagName('word');
+		return w.length>0 && w[0].hasAttribute('head');
+	},
+	toMtrx:function(request,id){return agdt_to_mtrx(request.responseXML,id);}
+};
+
+/**
+ * This method returns the name of the format of a loaded treebank request, by asking the detect() method of each format in TreebankFile.formats. If no format recognizes it, "mtrx" is returned.
+ * @param request A loaded request with the fields status, responseText, and responseXML.
+ * @return string The name of the format.
+ */
+TreebankFile.detectFormat=function(request)
+{
+	for(var name in TreebankFile.formats)
+	{
+		var f=TreebankFile.formats[name];
+		if(f.detect && request.responseXML && f.detect(request)) return name;
+	}
+	return 'mtrx';
+};
+
+/**
+ * This method loads a treebank file given as an xml treebank file in the metreex.org database. When the loading is complete the onload() method will be called if it was previously defined. If the file cannot be loaded (for example because of an HTTP error, an XML parse error, or a missing &lt;treebank&gt; element) the onerror() method will be called instead.
+ * @param string The id of the treebank file to be loaded.
+ * @param format An optional name of the format of the file, given as one of the keys of TreebankFile.formats (for example "agdt", "conllu", or "proiel"). If it is omitted the format is detected from the extension of the id or from the contents of the file.
+ * @return Promise A promise that is resolved with this TreebankFile object when the loading is complete, or rejected with an Error that names the file and the cause of the failure. If onerror() was set, the rejection does not need to be handled.
+ */
+TreebankFile.prototype.load=function(id,format)
+{
+	this.id=id;
+	if(typeof format!=='undefined' && typeof TreebankFile.formats[format]==='undefined')
+		return Promise.reject(load_error(id,'unknown format "'+format+'"'));
+	format=file_format(id,format);
+	return load_request(this,id,format,TreebankFile.fetch(id,format_mime(format)));
+};
+
+//the format given, or the one recognized by the extension of the id
+function file_format(id,format)
+{
+	if(typeof format==='undefined')
+		for(var name in TreebankFile.formats)
+		{
+			var ext=TreebankFile.formats[name].extension;
+			if(ext && id.substring(id.length-ext.length).toLowerCase()==ext) format=name;
+		}
+	return format;
+}
+
+function format_mime(format)
+{
+	if(typeof format==='undefined') return "text/xml";
+	return TreebankFile.formats[format].mime;
+}
+
+//completes the loading of a treebank file from a promise of its request, as in TreebankFile.load()
+function load_request(self,id,format,fetching)
+{
+	var mime=format_mime(format);
+	return handled_by_onerror(self,TreebankFile.prototype.onerror,fetching.then(function(request){
+			var cause=check_response(request,mime);
+			if(cause!=null) throw cause;
+			if(typeof request.responseText==='string') self.checksum=text_checksum(request.responseText);
+			var f=format;
+			if(typeof f==='undefined') f=TreebankFile.detectFormat(request);
+			var xml=TreebankFile.formats[f].toMtrx(request,id);
+			self.source_format=f;
+			if(xml.getElementsByTagName('treebank').length==0) throw 'missing <treebank> element';
+			return xml;
+		}).then(function(xml){
+			self.xml=xml;
+			self._sentences={};
+			//console.log(self.id+' '+self.getTitle());
+			self._onload();
+			return self;
+		},function(cause){
+			var error=load_error(id,cause);
+			self.onerror(error);
+			throw error;
+		}));
+}
+
+//a caller that set onerror() is notified there, so the rejection of the returned promise does not need a handler too
+function handled_by_onerror(self,default_onerror,promise)
+{
+	if(self.onerror!==default_onerror) promise.then(null,function(){});
+	return promise;
+}
+
+function check_response(request,mime)
+{
+	if(request.status>=400) return request;
+	if(!/xml/.test(mime)) return null;
+	var xml=request.responseXML;
+	if(!xml)
+	{
+		if(request.parseError) return request.parseError.message;
+		return 'XML parse error';
+	}
+	var e=xml.getElementsByTagName('parsererror');
+	if(e.length>0) return 'XML parse error ('+e[0].textContent+')';
+	return null;
+}
+
+function load_error(id,cause,kind)
+{
+	if(typeof kind==='undefined') kind='treebank file';
+	var reason='';
+	if(typeof cause==='string') reason=cause;
+	else if(cause && typeof cause.status==='number' && cause.status!=0)
+		reason='HTTP status '+cause.status+(cause.statusText?' '+cause.statusText:'');
+	else if(cause && cause.message) reason=cause.message;
+	else reason=''+cause;
+	var error=new Error('Could not load the '+kind+' "'+id+'": '+reason);
+	error.file=id;
+	error.cause=cause;
+	return error;
+}
+
+/**
+ * This class defines and controls the contents of a treebank collection in the metreex.org database.<br><br>
+ * <b>Example:</b><br><font style="font-family:Courier">
+ * var t=new TreebankCollection();<br>
+ * t.onload=function()<br>
+ * {<br>
+ *		t.apply(metrics,true);<br>
+ *	};<br>
+ *	t.load('a_collection_id');<br></font>
+ */
+function TreebankCollection()
+{
+	this.collection='';
+	this.manifest=null;
+	this.treebank=new Array();
+	this.failed=new Array();
+	this.loading_counter=0;
+	this.cache_hits=0;
+	this.cache_misses=0;
+}
+
+/**
+ * This is a callback method that will be called when this treebank collection is loaded. It is initially empty.
+ */
+TreebankCollection.prototype.onload=function(){};
+
+/**
+ * This is a callback method that will be called if this treebank collection could not be loaded. It is initially empty.
+ * @param error The Error object of the first treebank file that could not be loaded.
+ */
+TreebankCollection.prototype.onerror=function(error){};
+
+TreebankCollection.prototype._onload=function(){
+	//if(typeof output !=='undefined') output.println(this.loading_counter+' treebanks loaded from collection '+this.collection);
+this.onload();};
+
+TreebankCollection.DEFAULT_MANIFEST='collection.json';
+
+/**
+ * This method loads a treebank collection from the metreex.org database. When the loading is complete the onload() method will be called if it was previously defined. By default the loading fails as soon as one of the treebank files cannot be loaded, and the onerror() method is called. With the option skipErrors the files that cannot be loaded are left out of the collection and listed in the array this.failed as objects with the fields id and error.
+ * @param string The collection to be loaded given as an array with the ids of the treebank files, or as the id of a collection manifest (see loadManifest()). If it is omitted the manifest TreebankCollection.DEFAULT_MANIFEST is loaded. The array may also contain file entries of a manifest, i.e. objects with the field path and optional fields format and metadata.
+ * @param options An optional object with one or more of the following fields: skipErrors (a boolean flag for skipping the treebank files that cannot be loaded; the default value is false), format (the name of the format of the treebank files, as in TreebankFile.load(); by default it is detected for each file), rootPolicy (the root policy of the treebank files, see TreebankFile.setRootPolicy()), cache (the id of a corpus file that is used as a cache, see loadCorpus(); the treebank files whose checksum matches the corpus are taken from it without being parsed, and the corpus is rebuilt with TreebankCollection.storeCorpus() when a file has changed).
+ * @return Promise A promise that is resolved with this TreebankCollection object when the loading is complete, or rejected with the Error of the first treebank file that could not be loaded. If onerror() was set, the rejection does not need to be handled.
+ */
+TreebankCollection.prototype.load=function(collection,options)
+{
+	var opt=options||{};
+	if(typeof collection ==='undefined')
+		return this.loadManifest(TreebankCollection.DEFAULT_MANIFEST,opt);
+	if(typeof collection ==='string')
+		return this.loadManifest(collection,opt);
+	this.collection=collection;
+	
+	this.treebank=new Array();
+	this.failed=new Array();
+	this.loading_counter=0;
+	this.cache_hits=0;
+	this.cache_misses=0;
+	
+	var self=this;
+	var files=new Array(this.collection.length);
+	var loading=new Array(this.collection.length);
+	var cache=null;
+	if(typeof opt.cache==='string') cache=fetch_corpus(opt.cache);
+	
+		for(var i=0;i<this.collection.length;i++)
+		{
+			var entry=this.collection[i];
+			if(typeof entry==='string') entry={path:entry};
+			var t=new TreebankFile();
+			t.info=entry;
+			if(typeof opt.rootPolicy!=='undefined') t.setRootPolicy(opt.rootPolicy);
+			t._onload=function()
+			{
+				self.loading_counter+=1;
+			};
+			files[i]=t;
+			var format=opt.format;
+			if(typeof entry.format!=='undefined') format=entry.format;
+			var loaded=cache==null?t.load(entry.path,format):load_cached(self,t,entry,format,cache);
+			loading[i]=loaded.then(null,function(error){
+				if(!opt.skipErrors) throw error;
+				return error;
+			});
+		}
+	
+	return handled_by_onerror(this,TreebankCollection.prototype.onerror,Promise.all(loading).then(function(outcome){
+		for(var i=0;i<files.length;i++)
+		{
+			if(outcome[i] instanceof TreebankFile) self.treebank.push(files[i]);
+			else self.failed.push({id:files[i].id,error:outcome[i]});
+		}
+		if(cache==null) return self;
+		return cache.then(function(corpus){
+			//the files that failed to load are not in the corpus, so they do not make it out of date
+			if(self.cache_hits==self.treebank.length && corpus.files.length==self.treebank.length) return self;
+			return TreebankCollection.storeCorpus(opt.cache,JSON.stringify(self.toCorpus())).then(function(){return self;});
+		});
+	}).then(function(){
+		self._onload();
+		return self;
+	},function(error){
+		self.onerror(error);
+		throw error;
+	}));
+};
+
+/**
+ * This method loads a treebank collection from a manifest. A manifest is a JSON file with an optional title and an array of files. Each file is given as an object with the field path (the id of the treebank file, relative to the location of the manifest), an optional field format (see TreebankFile.formats), and optional metadata fields such as author, work, passage, genre, and date, which become available through the getInfo() method of the loaded TreebankFile.<br><br>
+ * <b>Example:</b><br><font style="font-family:Courier">
+ * {"title":"Lysias",<br>
+ * &nbsp;"files":[{"path":"Trees/Lysias_Olympiacus1","author":"Lysias","work":"Olympiacus","passage":"1","genre":"oratory"}]}<br></font>
+ * @param id The id of the manifest. It can also be the id of a corpus file (see loadCorpus()).
+ * @param options An optional object with the same fields as in load().
+ * @return Promise A promise that is resolved with this TreebankCollection object when the loading is complete, or rejected with an Error if the manifest or one of its treebank files could not be loaded.
+ */
+TreebankCollection.prototype.loadManifest=function(id,options)
+{
+	var self=this;
+	return handled_by_onerror(this,TreebankCollection.prototype.onerror,TreebankFile.fetch(id,"application/json").then(function(request){
+			if(request.status>=400) throw request;
+			var manifest=JSON.parse(request.responseText);
+			if(!manifest || !(manifest.files instanceof Array)) throw 'missing "files" array';
+			//a corpus is checked here so that its problems are reported as load errors of the manifest
+			var problem=manifest.format==TreebankCollection.CORPUS_FORMAT?corpus_problem(manifest):'';
+			if(problem) throw problem;
+			return manifest;
+		}).then(function(manifest){
+			if(manifest.format==TreebankCollection.CORPUS_FORMAT) return self.fromCorpus(manifest,options);
+			var base=id.substring(0,id.lastIndexOf('/')+1);
+			var files=new Array(manifest.files.length);
+			for(var i=0;i<manifest.files.length;i++)
+			{
+				var entry=manifest.files[i];
+				if(typeof entry==='string') entry={path:entry};
+				files[i]={};
+				for(var field in entry) files[i][field]=entry[field];
+				files[i].path=resolve_relative_id(base,entry.path);
+			}
+			self.manifest=manifest;
+			return self.load(files,options);
+		},function(cause){
+			var error=load_error(id,cause,'collection manifest');
+			self.onerror(error);
+			throw error;
+		}));
+};
+
+/**
+ * This method selects the treebank files of this collection that match a given condition and returns them as a new collection. The files are not loaded again.<br><br>
+ * <b>Example:</b><br><font style="font-family:Courier">
+ * var greek=c.filter({language:'grc',genre:'oratory'});<br>
+ * var recent=c.filter(function(t){return t.getDate()>='2014';});<br></font>
+ * @param condition Either a callback function that receives a TreebankFile object and returns true if the file should be kept, or an object whose fields are compared with the metadata of each file (see TreebankFile.getMetadata()). A field value can also be an array of accepted values. The special field annotator matches the short or the full name of any of the annotators.
+ * @return TreebankCollection A new collection with the selected treebank files.
+ */
+TreebankCollection.prototype.filter=function(condition)
+{
+	var c=new TreebankCollection();
+	c.collection=this.collection;
+	c.manifest=this.manifest;
+	for(var i=0;i<this.treebank.length;i++)
+	{
+		var t=this.treebank[i];
+		if(typeof condition==='function'?condition(t):matches_metadata(t.getMetadata(),condition))
+			c.treebank.push(t);
+	}
+	return c;
+};
+
+function matches_metadata(metadata,condition)
+{
+	for(var field in condition)
+	{
+		var accepted=condition[field] instanceof Array?condition[field]:[condition[field]];
+		var values;
+		if(field=='annotator')
+		{
+			values=new Array();
+			for(var i=0;i<metadata.annotators.length;i++)
+				values.push(metadata.annotators[i].short,metadata.annotators[i].name);
+		}
+		else values=[metadata[field]];
+		var found=false;
+		for(var i=0;i<values.length && !found;i++)
+			for(var j=0;j<accepted.length && !found;j++)
+				if(typeof values[i]!=='undefined' && ''+values[i]==''+accepted[j]) found=true;
+		if(!found) return false;
+	}
+	return true;
+}
+
+/**
+ * This method sets the root policy of all treebank files of this collection (see TreebankFile.setRootPolicy()).
+ * @param policy The root policy, given as TreebankFile.LARGEST_ROOT or TreebankFile.VIRTUAL_ROOT.
+ */
+TreebankCollection.prototype.setRootPolicy=function(policy)
+{
+	for(var i=0;i<this.treebank.length;i++)
+		this.treebank[i].setRootPolicy(policy);
+};
+
+/**
+ * This method counts the nodes that are dropped from the sentences of this collection under a given root policy (see TreebankFile.countDroppedNodes()).
+ * @param policy An optional root policy. By default the current policy of each file is used.
+ * @return Object An object with the fields sentences, nodes, and total, summed over all treebank files.
+ */
+TreebankCollection.prototype.countDroppedNodes=function(policy)
+{
+	var count={sentences:0,nodes:0,total:0};
+	for(var i=0;i<this.treebank.length;i++)
+	{
+		var c=this.treebank[i].countDroppedNodes(policy);
+		count.sentences+=c.sentences;
+		count.nodes+=c.nodes;
+		count.total+=c.total;
+	}
+	return count;
+};
+
+/**
+ * This method checks all treebank files of this collection (see TreebankFile.validate()).
+ * @return Array An array with the report of each treebank file, in the order of the array treebank.
+ */
+TreebankCollection.prototype.validate=function()
+{
+	var reports=new Array(this.treebank.length);
+	for(var i=0;i<this.treebank.length;i++)
+		reports[i]=this.treebank[i].validate();
+	return reports;
+};
+
+function agdt_to_mtrx(source,id)
+{
+	var doc=new_mtrx_document(id);
+	var src=source.getElementsByTagName('treebank')[0];
+	if(!src) return doc;
+	var treebank=doc.createElement('treebank');
+	copy_attributes(src,treebank);
+	doc.documentElement.appendChild(treebank);
+	for(var i=0;i<src.childNodes.length;i++)
+	{
+		var e=src.childNodes[i];
+		if(e.nodeType!=1) continue;
+		if(e.nodeName!='sentence')
+		{
+			treebank.appendChild(doc.importNode(e,true));
+			continue;
+		}
+		var words=new Array();
+		for(var j=0;j<e.childNodes.length;j++)
+		{
+			var w=e.childNodes[j];
+			if(w.nodeType!=1 || w.nodeName!='word') continue;
+			var attributes={};
+			for(var k=0;k<w.attributes.length;k++)
+				if(w.attributes[k].name!='head') attributes[w.attributes[k].name]=w.attributes[k].value;
+			words.push({id:w.getAttribute('id'),head:w.getAttribute('head'),attributes:attributes});
+		}
+		var sentence=doc.createElement('sentence');
+		copy_attributes(e,sentence);
+		nest_words(doc,sentence,words);
+		treebank.appendChild(sentence);
+	}
+	return doc;
+}
+
+function new_mtrx_document(id)
+{
+	var doc=TreebankFile.createDocument();
+	var metadata=doc.createElement('metadata');
+	doc.appendChild(metadata);
+	var title=doc.createElement('field');
+	title.setAttribute('name','title');
+	title.setAttribute('value',id.substring(id.lastIndexOf('/')+1));
+	metadata.appendChild(title);
+	return doc;
+}
+
+function copy_attributes(from,to)
+{
+	for(var i=0;i<from.attributes.length;i++)
+		to.setAttribute(from.attributes[i].name,from.attributes[i].value);
+}
+
+/*
+ * Builds the nested <word> elements of a sentence from a list of words that point to their parents.
+ * Each word is given as {id, head, attributes}. Words whose head is empty, 0, or not in the sentence
+ * become top-level words; words in a cycle are attached at the first word of the cycle.
+ */
+function nest_words(doc,sentence,words)
+{
+	var index={};
+	var elements=new Array(words.length);
+	for(var i=0;i<words.length;i++)
+	{
+		elements[i]=doc.createElement('word');
+		for(var name in words[i].attributes)
+			elements[i].setAttribute(name,words[i].attributes[name]);
+		index[words[i].id]=i;
+	}
+	var children={};
+	var roots=new Array();
+	for(var i=0;i<words.length;i++)
+	{
+		var h=words[i].head;
+		if(h==null || h=='' || h=='0' || h==words[i].id || typeof index[h]==='undefined') roots.push(i);
+		else
+		{
+			if(!children[h]) children[h]=new Array();
+			children[h].push(i);
+		}
+	}
+	var attached=new Array(words.length);
+	function attach(i)
+	{
+		attached[i]=true;
+		var ch=children[words[i].id]||[];
+		for(var j=0;j<ch.length;j++)
+		{
+			if(attached[ch[j]]) continue;
+			elements[i].appendChild(elements[ch[j]]);
+			attach(ch[j]);
+		}
+	}
+	for(var i=0;i<roots.length;i++) attach(roots[i]);
+	for(var i=0;i<words.length;i++)
+	{
+		if(attached[i]) continue;
+		roots.push(i);
+		attach(i);
+	}
+	roots.sort(function(a,b){return a-b;});
+	for(var i=0;i<roots.length;i++) sentence.appendChild(elements[roots[i]]);
+}
+
+/*
+ * The mapping between the 9-character AGDT postags and the Universal Dependencies features. Position 0 (the part of
+ * speech) is mapped to UPOS by AGDT_TO_UPOS; each one of the positions 1-8 (person, number, tense, mood, voice,
+ * gender, case, degree) is mapped to one or more FEATS.
+ */
+var AGDT_TO_UPOS={n:'NOUN',v:'VERB',t:'VERB',a:'ADJ',d:'ADV',l:'DET',g:'PART',c:'CCONJ',r:'ADP',p:'PRON',m:'NUM',i:'INTJ',e:'INTJ',u:'PUNCT',x:'X'};
+var UPOS_TO_AGDT={NOUN:'n',PROPN:'n',VERB:'v',AUX:'v',ADJ:'a',ADV:'d',DET:'l',PART:'g',CCONJ:'c',SCONJ:'c',ADP:'r',PRON:'p',NUM:'m',INTJ:'i',PUNCT:'u',X:'x',SYM:'x'};
+var AGDT_TO_FEATS=[
+	null,
+	{'1':'Person=1','2':'Person=2','3':'Person=3'},
+	{s:'Number=Sing',p:'Number=Plur',d:'Number=Dual'},
+	{p:'Tense=Pres',i:'Aspect=Imp|Tense=Past',r:'Aspect=Perf|Tense=Pres',l:'Tense=Pqp',t:'Aspect=Perf|Tense=Fut',f:'Tense=Fut',a:'Aspect=Perf|Tense=Past'},
+	{i:'Mood=Ind|VerbForm=Fin',s:'Mood=Sub|VerbForm=Fin',o:'Mood=Opt|VerbForm=Fin',m:'Mood=Imp|VerbForm=Fin',n:'VerbForm=Inf',p:'VerbForm=Part',g:'VerbForm=Gdv',d:'VerbForm=Ger',u:'VerbForm=Sup'},
+	{a:'Voice=Act',p:'Voice=Pass',m:'Voice=Mid',e:'Voice=Mid'},
+	{m:'Gender=Masc',f:'Gender=Fem',n:'Gender=Neut',c:'Gender=Com'},
+	{n:'Case=Nom',g:'Case=Gen',d:'Case=Dat',a:'Case=Acc',v:'Case=Voc',l:'Case=Loc',b:'Case=Abl'},
+	{p:'Degree=Pos',c:'Degree=Cmp',s:'Degree=Sup'}
+];
+
+/*
+ * The approximate mapping between AGDT relations and UD relations. The trees keep the AGDT shape (for example the
+ * coordinating conjunction remains the head of a coordination), so the exact AGDT label is also written in the MISC
+ * column as Relation=... and it is preferred by the reader.
+ */
+var AGDT_TO_DEPREL={PRED:'parataxis',SBJ:'nsubj',OBJ:'obj',ATR:'nmod',ADV:'obl',ATV:'xcomp',AtvV:'xcomp',PNOM:'xcomp',OCOMP:'xcomp',COORD:'cc',APOS:'appos',ExD:'orphan',AuxP:'case',AuxC:'mark',AuxR:'expl',AuxV:'aux',AuxX:'punct',AuxG:'punct',AuxK:'punct',AuxY:'advmod',AuxZ:'advmod'};
+var DEPREL_TO_AGDT={root:'PRED',parataxis:'PRED',nsubj:'SBJ',csubj:'SBJ',obj:'OBJ',iobj:'OBJ',ccomp:'OBJ',amod:'ATR',nmod:'ATR',det:'ATR',nummod:'ATR',acl:'ATR',flat:'ATR',compound:'ATR',advmod:'ADV',obl:'ADV',advcl:'ADV',xcomp:'ATV',cc:'COORD',appos:'APOS',orphan:'ExD',vocative:'ExD',dislocated:'ExD',case:'AuxP',mark:'AuxC',expl:'AuxR',aux:'AuxV',cop:'AuxV',discourse:'AuxY',fixed:'AuxY'};
+
+TreebankFile.formats.conllu={
+	mime:"text/plain",
+	extension:".conllu",
+	toMtrx:function(request,id){return conllu_to_mtrx(request.responseText,id);}
+};
+
+function conllu_to_mtrx(text,id)
+{
+	var doc=new_mtrx_document(id);
+	var treebank=doc.createElement('treebank');
+	treebank.setAttribute('format','conllu');
+	doc.documentElement.appendChild(treebank);
+
+	var lines=text.split(/\r?\n/);
+	var document_id='';
+	var comments={};
+	var rows=new Array();
+	for(var i=0;i<=lines.length;i++)
+	{
+		var line=i<lines.length?lines[i]:'';
+		if(/^\s*$/.test(line))
+		{
+			if(rows.length>0)
+			{
+				var sentence=doc.createElement('sentence');
+				sentence.setAttribute('id',comments.sent_id||''+(treebank.childNodes.length+1));
+				sentence.setAttribute('document_id',document_id);
+				nest_words(doc,sentence,conllu_words(rows));
+				treebank.appendChild(sentence);
+			}
+			rows=new Array();
+			comments={};
+		}
+		else if(line.charAt(0)=='#')
+		{
+			var m=/^#\s*([^=]+?)\s*=\s*(.*)$/.exec(line);
+			if(m) comments[m[1]]=m[2];
+			if(m && m[1]=='newdoc id') document_id=m[2];
+		}
+		else
+		{
+			var c=line.split('\t');
+			if(c.length!=10) throw 'CoNLL-U line '+(i+1)+' has '+c.length+' columns instead of 10';
+			if(c[0].indexOf('-')<0) rows.push(c);
+		}
+	}
+	return doc;
+}
+
+function conllu_words(rows)
+{
+	var ids={'0':'0'};
+	var by_id={};
+	var has_empty=false;
+	for(var i=0;i<rows.length;i++)
+	{
+		ids[rows[i][0]]=''+(i+1);
+		by_id[rows[i][0]]=rows[i];
+		if(rows[i][0].indexOf('.')>=0) has_empty=true;
+	}
+	var words=new Array(rows.length);
+	for(var i=0;i<rows.length;i++)
+	{
+		var c=rows[i];
+		var empty=c[0].indexOf('.')>=0;
+		var misc=conllu_misc(c[9]);
+		var head=c[6];
+		var deprel=c[7];
+		if(empty || has_empty)
+		{
+			var deps=c[8]=='_'?[]:c[8].split('|');
+			for(var j=0;j<deps.length;j++)
+			{
+				var colon=deps[j].indexOf(':');
+				var h=deps[j].substring(0,colon);
+				if(empty || h.indexOf('.')>=0)
+				{
+					head=h;
+					deprel=deps[j].substring(colon+1);
+					break;
+				}
+			}
+		}
+		if(misc.TopLevel=='Yes') head='0';
+		var attributes={id:ids[c[0]],form:c[1],lemma:c[2]=='_'?'':c[2]};
+		attributes.postag=/^[a-z1-3-]{9}$/.test(c[4])?c[4]:conllu_postag(c[3],c[5]);
+		if(typeof misc.Relation!=='undefined') attributes.relation=misc.Relation=='_'?'':misc.Relation;
+		else if(deprel.split(':')[0]=='conj') attributes.relation=conllu_conjunct_relation(by_id,head);
+		else attributes.relation=conllu_relation(deprel,c[1]);
+		if(empty)
+		{
+			var dot=c[0].indexOf('.');
+			attributes.insertion_id=misc.InsertionId||('0000'+c[0].substring(0,dot)).slice(-4)+String.fromCharCode(100+parseInt(c[0].substring(dot+1)));
+			attributes.artificial=misc.Artificial||'elliptic';
+		}
+		words[i]={id:ids[c[0]],head:typeof ids[head]!=='undefined'?ids[head]:null,attributes:attributes};
+	}
+	return words;
+}
+
+function conllu_misc(column)
+{
+	var misc={};
+	if(column=='_') return misc;
+	var items=column.split('|');
+	for(var i=0;i<items.length;i++)
+	{
+		var eq=items[i].indexOf('=');
+		if(eq>0) misc[items[i].substring(0,eq)]=items[i].substring(eq+1);
+	}
+	return misc;
+}
+
+function conllu_postag(upos,feats)
+{
+	var f=feats=='_'?[]:feats.split('|');
+	var tag=[UPOS_TO_AGDT[upos]||'-','-','-','-','-','-','-','-','-'];
+	for(var p=1;p<AGDT_TO_FEATS.length;p++)
+	{
+		var best=0;
+		for(var letter in AGDT_TO_FEATS[p])
+		{
+			var required=AGDT_TO_FEATS[p][letter].split('|');
+			var ok=true;
+			for(var k=0;k<required.length;k++) if(f.indexOf(required[k])<0) ok=false;
+			if(ok && required.length>best)
+			{
+				best=required.length;
+				tag[p]=letter;
+			}
+		}
+	}
+	return tag.join('');
+}
+
+function conllu_relation(deprel,form)
+{
+	var base=deprel.split(':')[0];
+	if(base=='punct')
+	{
+		if(form==',') return 'AuxX';
+		if(form=='.' || form==';' || form=='\u00B7' || form=='\u0387') return 'AuxK';
+		return 'AuxG';
+	}
+	return DEPREL_TO_AGDT[base]||'';
+}
+
+//a UD conjunct depends on the first conjunct, whose relation it shares as in AGDT (e.g. ATR_CO for a conjunct of an amod)
+function conllu_conjunct_relation(by_id,head)
+{
+	var first=by_id[head];
+	for(var n=0;first && first[7].split(':')[0]=='conj' && n<100;n++) first=by_id[first[6]];
+	if(!first || first[7].split(':')[0]=='conj') return '';
+	var relation=conllu_relation(first[7],first[1]);
+	return relation==''?'':relation+'_CO';
+}
+
+/**
+ * This method exports this treebank file in the CoNLL-U format of Universal Dependencies. The words are numbered in the order of their ids and the artificial words (the ones with an insertion_id) are written as empty nodes, attached in the enhanced dependencies column. The 9-character postag is written as XPOS and mapped to UPOS and FEATS. The trees keep their AGDT shape: DEPREL contains an approximate UD relation and the exact AGDT relation is kept in the MISC column as Relation=..., so the output can be loaded again with TreebankFile.load(id,'conllu') without loss. Each sentence has a single root, the first top-level word that is not punctuation; the other top-level words are attached to it as punct or parataxis and marked with TopLevel=Yes in the MISC column.
+ * @return string The treebank file in the CoNLL-U format.
+ */
+TreebankFile.prototype.toCoNLLU=function()
+{
+	var out='';
+	var document_id='';
+	var e=this.xml.getElementsByTagName('sentence');
+	for(var i=0;i<e.length;i++)
+	{
+		var doc_id=e[i].getAttribute('document_id')||'';
+		if(doc_id!='' && doc_id!=document_id) out+='# newdoc id = '+doc_id+'\n';
+		document_id=doc_id;
+		out+=sentence_to_conllu(e[i]);
+	}
+	return out;
+};
+
+function sentence_to_conllu(sentence)
+{
+	var w=Array.prototype.slice.call(sentence.getElementsByTagName('word'));
+	w.sort(function(a,b){return parseInt(a.getAttribute('id'))-parseInt(b.getAttribute('id'));});
+
+	var ids=new Array(w.length);
+	var regular=0;
+	var empty=0;
+	var has_empty=false;
+	for(var i=0;i<w.length;i++)
+	{
+		if(isArtificial(w[i]))
+		{
+			empty+=1;
+			ids[i]=regular+'.'+empty;
+			has_empty=true;
+		}
+		else
+		{
+			regular+=1;
+			empty=0;
+			ids[i]=''+regular;
+		}
+	}
+
+	var out='# sent_id = '+sentence.getAttribute('id')+'\n';
+	var text=new Array();
+	for(var i=0;i<w.length;i++) if(!isArtificial(w[i])) text.push(w[i].getAttribute('form'));
+	out+='# text = '+conllu_value(text.join(' '))+'\n';
+
+	//UD allows a single root, so the other top-level words are attached to it and marked as TopLevel=Yes in MISC
+	var parents=new Array(w.length);
+	var heads=new Array(w.length);
+	var tops=new Array();
+	var enhanced_tops=new Array();
+	for(var i=0;i<w.length;i++)
+	{
+		parents[i]=w.indexOf(w[i].parentNode);
+		heads[i]=parents[i];
+		while(heads[i]>=0 && isArtificial(w[heads[i]])) heads[i]=w.indexOf(w[heads[i]].parentNode);
+		if(heads[i]<0 && !isArtificial(w[i])) tops.push(i);
+		if(parents[i]<0) enhanced_tops.push(i);
+	}
+	var root=conllu_root(w,tops);
+	var enhanced_root=conllu_root(w,enhanced_tops);
+
+	for(var i=0;i<w.length;i++)
+	{
+		var postag=w[i].getAttribute('postag')||'';
+		var relation=w[i].getAttribute('relation')||'';
+		var upos=AGDT_TO_UPOS[postag.charAt(0)]||'X';
+		if(upos=='CCONJ' && relation.indexOf('AuxC')==0) upos='SCONJ';
+
+		var parent=parents[i];
+		var head=heads[i];
+		var deprel=conllu_deprel(relation,upos,head<0);
+		if(head<0 && i!=root)
+		{
+			head=root;
+			deprel=conllu_top_deprel(relation);
+		}
+		var deps=(parent>=0?ids[parent]:'0')+':'+conllu_deprel(relation,upos,parent<0);
+		if(parent<0 && i!=enhanced_root) deps=ids[enhanced_root]+':'+conllu_top_deprel(relation);
+		var misc='Relation='+(relation==''?'_':relation);
+		if(parent<0 && (i!=enhanced_root || (i!=root && !isArtificial(w[i])))) misc+='|TopLevel=Yes';
+
+		var c=[ids[i],conllu_value(w[i].getAttribute('form')),conllu_value(w[i].getAttribute('lemma')),upos,conllu_value(postag),conllu_feats(postag)];
+		if(isArtificial(w[i]))
+		{
+			c.push('_','_',deps);
+			misc+='|Artificial='+(w[i].getAttribute('artificial')||'elliptic')+'|InsertionId='+w[i].getAttribute('insertion_id');
+		}
+		else c.push(head>=0?ids[head]:'0',deprel,has_empty?deps:'_');
+		c.push(misc);
+		out+=c.join('\t')+'\n';
+	}
+	return out+'\n';
+}
+
+//the root of a UD sentence: the first top-level word that is not punctuation
+function conllu_root(w,tops)
+{
+	for(var i=0;i<tops.length;i++)
+		if(!/^Aux[KXG]/.test(w[tops[i]].getAttribute('relation')||'')) return tops[i];
+	return tops.length>0?tops[0]:-1;
+}
+
+function conllu_top_deprel(relation)
+{
+	return /^Aux[KXG]/.test(relation)?'punct':'parataxis';
+}
+
+function conllu_value(value)
+{
+	if(value==null || value=='') return '_';
+	return value.replace(/[\t\r\n]/g,' ');
+}
+
+function conllu_feats(postag)
+{
+	var f=new Array();
+	for(var p=1;p<AGDT_TO_FEATS.length && p<postag.length;p++)
+	{
+		var v=AGDT_TO_FEATS[p][postag.charAt(p)];
+		if(v) f=f.concat(v.split('|'));
+	}
+	if(f.length==0) return '_';
+	f.sort(function(a,b){a=a.toLowerCase();b=b.toLowerCase();return a<b?-1:(a>b?1:0);});
+	return f.join('|');
+}
+
+function conllu_deprel(relation,upos,is_root)
+{
+	if(is_root) return 'root';
+	var base=relation.split('_')[0];
+	if(relation.indexOf('_CO')>0 && base!='COORD') return 'conj';
+	if(relation.indexOf('_AP')>0) return 'appos';
+	if(base=='ATR')
+	{
+		if(upos=='ADJ') return 'amod';
+		if(upos=='DET') return 'det';
+		if(upos=='NUM') return 'nummod';
+		if(upos=='VERB') return 'acl';
+	}
+	if(base=='ADV' && upos=='ADV') return 'advmod';
+	if(base=='PRED') return 'parataxis';
+	return AGDT_TO_DEPREL[base]||'dep';
+}
+
+/*
+ * The mapping from the PROIEL annotation onto the AGDT labels returned by getPosTag() and getRelation().
+ *
+ * Parts of speech: A- a, Df Dq Du d, S- l, Ma Mo m, Nb Ne n, C- G- c, P* p, R- r, V- v, I- i, F- X- x. Empty tokens
+ * become artificial words; their part of speech is taken from empty-token-sort (V v, C c, P p).
+ *
+ * Morphology: the 10 positions (person, number, tense, mood, voice, gender, case, degree, strength, inflection) are
+ * reduced to the 8 AGDT positions. Resultative tense becomes perfect (r), past tense becomes aorist (a), positive
+ * degree and the values that combine genders or cases (for example "o" for m/f, "c" for g/d) become "-".
+ *
+ * Relations: pred PRED; sub SBJ; obj obl comp xobj arg nonsub OBJ; adv ag per ADV; xadv ATV; atr adnom narg part rel
+ * ATR; voc ExD; parpred PRED; expl AuxY. The aux relation is mapped by part of speech: S- ATR, V- AuxV, R- AuxP, G- AuxC,
+ * others AuxY. Since in PROIEL the function of a prepositional phrase or of a subordinate clause is given to the
+ * preposition or the subjunction, their obl or pred dependents take over that relation and the preposition becomes
+ * AuxP and the subjunction AuxC, as in AGDT. A conjunction whose dependents share its relation becomes COORD and these
+ * dependents get the suffix _CO; the dependents with relation apos get the relation of their head with the suffix _AP.
+ *
+ * PROIEL has no punctuation tokens; the punctuation in presentation-before and presentation-after is turned into
+ * punctuation words (postag u--------) so that node counts are comparable with the AGDT files: sentence-final
+ * punctuation becomes AuxK at the top level, commas AuxX and other marks AuxG, attached to the head of the token (or to
+ * the token itself if it is at the top level).
+ */
+var PROIEL_TO_AGDT_POS={A:'a',D:'d',S:'l',M:'m',N:'n',C:'c',G:'c',P:'p',R:'r',V:'v',I:'i',F:'x',X:'x'};
+var PROIEL_TO_AGDT_RELATION={pred:'PRED',sub:'SBJ',obj:'OBJ',obl:'OBJ',comp:'OBJ',xobj:'OBJ',arg:'OBJ',nonsub:'OBJ',adv:'ADV',ag:'ADV',per:'ADV',xadv:'ATV',atr:'ATR',adnom:'ATR',narg:'ATR',part:'ATR',rel:'ATR',voc:'ExD',parpred:'PRED',expl:'AuxY'};
+var PROIEL_TO_AGDT_MORPHOLOGY=[
+	{'1':'1','2':'2','3':'3'},
+	{s:'s',d:'d',p:'p'},
+	{p:'p',i:'i',r:'r',s:'r',a:'a',u:'a',l:'l',f:'f',t:'t'},
+	{i:'i',s:'s',m:'m',o:'o',n:'n',p:'p',d:'d',g:'g',u:'u'},
+	{a:'a',m:'m',p:'p',e:'e'},
+	{m:'m',f:'f',n:'n'},
+	{n:'n',a:'a',g:'g',d:'d',v:'v',l:'l',b:'b'},
+	{c:'c',s:'s'}
+];
+
+TreebankFile.formats.proiel={
+	mime:"text/xml",
+	detect:function(request)
+	{
+		return request.responseXML.documentElement.nodeName=='proiel';
+	},
+	toMtrx:function(request,id){return proiel_to_mtrx(request.responseXML,id);}
+};
+
+function proiel_to_mtrx(source,id)
+{
+	var doc=new_mtrx_document(id);
+	var treebank=doc.createElement('treebank');
+	treebank.setAttribute('format','proiel');
+	doc.documentElement.appendChild(treebank);
+
+	var sources=source.getElementsByTagName('source');
+	for(var i=0;i<sources.length;i++)
+	{
+		if(i==0 && sources[i].hasAttribute('language')) treebank.setAttribute('xml:lang',sources[i].getAttribute('language'));
+		var title=child_elements(sources[i],'title');
+		if(i==0 && title.length>0) doc.documentElement.firstChild.setAttribute('value',title[0].textContent);
+		var divs=child_elements(sources[i],'div');
+		for(var j=0;j<divs.length;j++)
+		{
+			var div_title=child_elements(divs[j],'title');
+			var sentences=child_elements(divs[j],'sentence');
+			for(var k=0;k<sentences.length;k++)
+			{
+				if(sentences[k].getAttribute('status')=='unannotated') continue;
+				var sentence=doc.createElement('sentence');
+				sentence.setAttribute('id',sentences[k].getAttribute('id'));
+				sentence.setAttribute('document_id',sources[i].getAttribute('id')||'');
+				sentence.setAttribute('subdoc',div_title.length>0?div_title[0].textContent:'');
+				sentence.setAttribute('span','');
+				nest_words(doc,sentence,proiel_words(child_elements(sentences[k],'token')));
+				treebank.appendChild(sentence);
+			}
+		}
+	}
+	return doc;
+}
+
+function child_elements(element,name)
+{
+	var out=new Array();
+	for(var i=0;i<element.childNodes.length;i++)
+		if(element.childNodes[i].nodeType==1 && element.childNodes[i].nodeName==name) out.push(element.childNodes[i]);
+	return out;
+}
+
+function proiel_words(tokens)
+{
+	var n=tokens.length;
+	var index={};
+	var pos=new Array(n);
+	var rel=new Array(n);
+	var head=new Array(n);
+	for(var i=0;i<n;i++)
+	{
+		index[tokens[i].getAttribute('id')]=i;
+		pos[i]=tokens[i].getAttribute('part-of-speech')||'';
+		if(tokens[i].hasAttribute('empty-token-sort')) pos[i]=tokens[i].getAttribute('empty-token-sort')+'-';
+		rel[i]=tokens[i].getAttribute('relation')||'';
+	}
+	var children=new Array(n);
+	for(var i=0;i<n;i++) children[i]=new Array();
+	for(var i=0;i<n;i++)
+	{
+		head[i]=index[tokens[i].getAttribute('head-id')];
+		if(typeof head[i]==='undefined') head[i]=-1;
+		else children[head[i]].push(i);
+	}
+
+	var label=new Array(n);
+	var co=new Array(n);
+	for(var i=0;i<n;i++)
+	{
+		label[i]=PROIEL_TO_AGDT_RELATION[rel[i]]||'';
+		if(rel[i]=='aux')
+		{
+			var p=pos[i].charAt(0);
+			label[i]=p=='S'?'ATR':(p=='V'?'AuxV':(p=='R'?'AuxP':(p=='G'?'AuxC':'AuxY')));
+		}
+	}
+	for(var i=0;i<n;i++)
+	{
+		if(pos[i].charAt(0)!='C') continue;
+		var conjuncts=0;
+		for(var j=0;j<children[i].length;j++)
+			if(rel[children[i][j]]==rel[i]){co[children[i][j]]=true;conjuncts+=1;}
+		if(conjuncts>0) label[i]='COORD';
+	}
+	for(var i=0;i<n;i++)
+	{
+		var p=pos[i].charAt(0);
+		var marker=p=='R'?'obl':(p=='G'?'pred':null);
+		if(marker==null || label[i]=='COORD') continue;
+		var swapped=false;
+		for(var j=0;j<children[i].length;j++)
+		{
+			var c=children[i][j];
+			if(rel[c]!=marker || co[c]) continue;
+			label[c]=label[i];
+			swapped=true;
+		}
+		if(swapped) label[i]=p=='R'?'AuxP':'AuxC';
+	}
+	for(var i=0;i<n;i++)
+	{
+		if(rel[i]!='apos') continue;
+		var h=head[i];
+		while(h>=0 && rel[h]=='apos') h=head[h];
+		label[i]=(h>=0?label[h]:'')+'_AP';
+	}
+
+	var words=new Array();
+	var number=0;
+	function punctuation(text,attach_to,final)
+	{
+		var marks=text.replace(/\s/g,'');
+		for(var k=0;k<marks.length;k++)
+		{
+			var ch=marks.charAt(k);
+			var is_final=final && k==marks.length-1 && /[.;\u00B7\u0387:!?]/.test(ch);
+			var r=is_final?'AuxK':(ch==','?'AuxX':'AuxG');
+			number+=1;
+			words.push({id:''+number,head:is_final?'0':attach_to,attributes:{id:''+number,form:ch,lemma:'punc1',postag:'u--------',relation:r}});
+		}
+	}
+	//the empty tokens come after the last word, so the sentence ends with the last token that is not empty
+	var last=n-1;
+	while(last>0 && tokens[last].hasAttribute('empty-token-sort')) last--;
+	var ids=new Array(n);
+	var count=0;
+	for(var i=0;i<n;i++)
+	{
+		var before=tokens[i].getAttribute('presentation-before');
+		count+=1+(before?before.replace(/\s/g,'').length:0);
+		ids[i]=''+count;
+		var after=tokens[i].getAttribute('presentation-after');
+		count+=after?after.replace(/\s/g,'').length:0;
+	}
+	for(var i=0;i<n;i++)
+	{
+		var parent=head[i]>=0?ids[head[i]]:'0';
+		var attach=head[i]>=0?parent:ids[i];
+		var before=tokens[i].getAttribute('presentation-before');
+		if(before) punctuation(before,attach,false);
+		number+=1;
+		var attributes={id:ids[i],form:tokens[i].getAttribute('form')||'',lemma:tokens[i].getAttribute('lemma')||'',postag:proiel_postag(pos[i],tokens[i].getAttribute('morphology')),relation:label[i]+(co[i]?'_CO':'')};
+		if(tokens[i].hasAttribute('empty-token-sort'))
+		{
+			attributes.insertion_id=('0000'+i).slice(-4)+'e';
+			attributes.artificial='elliptic';
+		}
+		words.push({id:ids[i],head:parent,attributes:attributes});
+		var after=tokens[i].getAttribute('presentation-after');
+		if(after) punctuation(after,attach,i==last);
+	}
+	return words;
+}
+
+function proiel_postag(pos,morphology)
+{
+	var tag=[PROIEL_TO_AGDT_POS[pos.charAt(0)]||'-','-','-','-','-','-','-','-','-'];
+	var m=morphology||'';
+	for(var p=0;p<PROIEL_TO_AGDT_MORPHOLOGY.length && p<m.length;p++)
+		tag[p+1]=PROIEL_TO_AGDT_MORPHOLOGY[p][m.charAt(p)]||'-';
+	return tag.join('');
+}
+
+function resolve_relative_id(base,id)
+{
+	if(id.charAt(0)=='/' || /^[a-z][a-z0-9+.-]*:/i.test(id)) return id;
+	return base+id;
+}
+
+/**
+ * This method returns the contents of this file in the compact form that is stored in a corpus file (see TreebankCollection.loadCorpus()).
+ * @return Object An object with the fields path (the id of this file), format (the format from which it was loaded), checksum (the checksum of the source file), info (the metadata of the manifest), and document (the contents of the file).
+ */
+TreebankFile.prototype.toCorpus=function()
+{
+	var document=new Array();
+	for(var i=0;i<this.xml.childNodes.length;i++)
+		if(this.xml.childNodes[i].nodeType==1) document.push(node_to_corpus(this.xml.childNodes[i]));
+	return {path:this.id,format:this.source_format,checksum:this.checksum,info:this.info,document:document};
+};
+
+/**
+ * This method sets the contents of this file from an entry of a corpus file that was created by toCorpus(). The file is ready to use, i.e. onload() is not called.
+ * @param entry An entry of the files array of a corpus.
+ */
+TreebankFile.prototype.fromCorpus=function(entry)
+{
+	this.id=entry.path;
+	this.info=entry.info||{path:entry.path};
+	this.checksum=entry.checksum;
+	this.source_format=entry.format;
+	this._sentences={};
+	var doc=TreebankFile.createDocument();
+	for(var i=0;i<entry.document.length;i++)
+		doc.appendChild(corpus_to_node(doc,entry.document[i]));
+	this.xml=doc;
+};
+
+var CORPUS_WORD_ATTRIBUTES=['id','form','lemma','postag','relation'];
+
+//text nodes are stored as strings, elements as {n:name,a:attributes,c:children}, and the words of a sentence as arrays
+//with the index of the parent word (-1 for top-level words), the attributes CORPUS_WORD_ATTRIBUTES, and an optional object
+//with the other attributes
+function node_to_corpus(node)
+{
+	if(node.nodeType==3) return node.data;
+	if(node.nodeType!=1) return null;
+	var out={n:node.nodeName};
+	if(node.attributes.length>0)
+	{
+		out.a={};
+		for(var i=0;i<node.attributes.length;i++)
+			out.a[node.attributes[i].name]=node.attributes[i].value;
+	}
+	if(node.nodeName=='sentence')
+	{
+		out.w=new Array();
+		var top=child_elements(node,'word');
+		for(var i=0;i<top.length;i++) words_to_corpus(top[i],-1,out.w);
+		return out;
+	}
+	var c=new Array();
+	for(var i=0;i<node.childNodes.length;i++)
+	{
+		var n=node_to_corpus(node.childNodes[i]);
+		if(n!=null) c.push(n);
+	}
+	if(c.length>0) out.c=c;
+	return out;
+}
+
+function words_to_corpus(word,parent,out)
+{
+	var k=out.length;
+	var w=[parent];
+	for(var i=0;i<CORPUS_WORD_ATTRIBUTES.length;i++)
+		w.push(word.hasAttribute(CORPUS_WORD_ATTRIBUTES[i])?word.getAttribute(CORPUS_WORD_ATTRIBUTES[i]):null);
+	var other=null;
+	for(var i=0;i<word.attributes.length;i++)
+	{
+		var name=word.attributes[i].name;
+		if(CORPUS_WORD_ATTRIBUTES.indexOf(name)>=0) continue;
+		if(other==null) other={};
+		other[name]=word.attributes[i].value;
+	}
+	if(other!=null) w.push(other);
+	out.push(w);
+	var ch=child_elements(word,'word');
+	for(var i=0;i<ch.length;i++) words_to_corpus(ch[i],k,out);
+}
+
+function corpus_to_node(doc,n)
+{
+	if(typeof n==='string') return doc.createTextNode(n);
+	var e=doc.createElement(n.n);
+	for(var name in n.a) e.setAttribute(name,n.a[name]);
+	if(n.w)
+	{
+		var words=new Array(n.w.length);
+		for(var i=0;i<n.w.length;i++)
+		{
+			var w=n.w[i];
+			words[i]=doc.createElement('word');
+			for(var j=0;j<CORPUS_WORD_ATTRIBUTES.length;j++)
+				if(w[j+1]!=null) words[i].setAttribute(CORPUS_WORD_ATTRIBUTES[j],w[j+1]);
+			var other=w[CORPUS_WORD_ATTRIBUTES.length+1];
+			for(var name in other) words[i].setAttribute(name,other[name]);
+			if(w[0]<0) e.appendChild(words[i]);
+			else words[w[0]].appendChild(words[i]);
+		}
+	}
+	for(var i=0;n.c && i<n.c.length;i++) e.appendChild(corpus_to_node(doc,n.c[i]));
+	return e;
+}
+
+//a 32-bit FNV-1a hash of the text together with its length
+function text_checksum(text)
+{
+	var h=0x811c9dc5;
+	for(var i=0;i<text.length;i++)
+	{
+		h^=text.charCodeAt(i);
+		h=(h+(h<<1)+(h<<4)+(h<<7)+(h<<8)+(h<<24))>>>0;
+	}
+	return text.length.toString(16)+'-'+('0000000'+h.toString(16)).slice(-8);
+}
+
+TreebankCollection.CORPUS_FORMAT='metreex-corpus';
+TreebankCollection.CORPUS_VERSION=1;
+
+/**
+ * This method returns the contents of this collection as a corpus, i.e. an object that can be saved as a JSON file and loaded much faster than the treebank files (see loadCorpus()).
+ * @return Object The corpus with the fields format (TreebankCollection.CORPUS_FORMAT), version, title, and files (see TreebankFile.toCorpus()).
+ */
+TreebankCollection.prototype.toCorpus=function()
+{
+	var corpus={format:TreebankCollection.CORPUS_FORMAT,version:TreebankCollection.CORPUS_VERSION,title:'',files:new Array(this.treebank.length)};
+	if(this.manifest && this.manifest.title) corpus.title=this.manifest.title;
+	for(var i=0;i<this.treebank.length;i++)
+		corpus.files[i]=this.treebank[i].toCorpus();
+	return corpus;
+};
+
+/**
+ * This method loads a treebank collection from a corpus file, which contains the treebank files of a collection in a compact JSON form (see toCorpus()). The treebank files themselves are not accessed. To reload the files that have changed since the corpus was created, use the cache option of load() instead.
+ * @param id The id of the corpus file.
+ * @param options An optional object with the field rootPolicy as in load().
+ * @return Promise A promise that is resolved with this TreebankCollection object when the loading is complete, or rejected with an Error if the corpus could not be loaded.
+ */
+TreebankCollection.prototype.loadCorpus=function(id,options)
+{
+	var self=this;
+	return fetch_corpus(id,true).then(function(corpus){
+			return self.fromCorpus(corpus,options);
+		},function(cause){
+			var error=load_error(id,cause,'corpus');
+			self.onerror(error);
+			throw error;
+		});
+};
+
+/**
+ * This method sets the contents of this collection from a corpus object that was created by toCorpus(). It throws an Error if the object is not a corpus or if its version is not TreebankCollection.CORPUS_VERSION.
+ * @param corpus The corpus object.
+ * @param options An optional object with the field rootPolicy as in load().
+ * @return TreebankCollection This collection object.
+ */
+TreebankCollection.prototype.fromCorpus=function(corpus,options)
+{
+	var problem=corpus_problem(corpus);
+	if(problem) throw new Error('Could not use the corpus: '+problem);
+	var opt=options||{};
+	this.manifest={title:corpus.title,files:corpus.files.map(function(f){return f.info;})};
+	this.collection=this.manifest.files;
+	this.treebank=new Array(corpus.files.length);
+	this.failed=new Array();
+	for(var i=0;i<corpus.files.length;i++)
+	{
+		var t=new TreebankFile();
+		t.fromCorpus(corpus.files[i]);
+		if(typeof opt.rootPolicy!=='undefined') t.setRootPolicy(opt.rootPolicy);
+		this.treebank[i]=t;
+	}
+	this.loading_counter=this.treebank.length;
+	this._onload();
+	return this;
+};
+
+/**
+ * This method stores a corpus file that was rebuilt by the cache option of load(). In a browser the corpus cannot be stored, so it does nothing by default; in Node.js (metreex-node.js) it writes the file. It can be replaced to store the corpus elsewhere.
+ * @param id The id of the corpus file.
+ * @param text The contents of the corpus file as a JSON string.
+ * @return Promise A promise that is resolved when the corpus is stored.
+ */
+TreebankCollection.storeCorpus=function(id,text)
+{
+	return Promise.resolve();
+};
+
+//the reason why an object cannot be used as a corpus, or an empty string if it can
+function corpus_problem(corpus)
+{
+	if(!corpus || corpus.format!=TreebankCollection.CORPUS_FORMAT) return 'not a metreex corpus';
+	if(corpus.version!=TreebankCollection.CORPUS_VERSION) return 'unsupported corpus version '+corpus.version;
+	if(!(corpus.files instanceof Array)) return 'missing "files" array';
+	return '';
+}
+
+//the corpus of a cache, or an empty corpus if it does not exist or it is invalid, unless strict is true
+function fetch_corpus(id,strict)
+{
+	return TreebankFile.fetch(id,"application/json").then(function(request){
+			if(request.status>=400) throw request;
+			var corpus=JSON.parse(request.responseText);
+			var problem=corpus_problem(corpus);
+			if(problem) throw problem;
+			return corpus;
+		}).then(null,function(cause){
+			if(strict) throw cause;
+			return {files:[]};
+		}).then(function(corpus){
+			corpus.index={};
+			for(var i=0;i<corpus.files.length;i++) corpus.index[corpus.files[i].path]=corpus.files[i];
+			return corpus;
+		});
+}
+
+function load_cached(collection,file,entry,format,cache)
+{
+	return cache.then(function(corpus){
+		var cached=corpus.index[entry.path];
+		if(!cached || (typeof format!=='undefined' && cached.format!=format))
+		{
+			collection.cache_misses+=1;
+			return file.load(entry.path,format);
+		}
+		var fetching=TreebankFile.fetch(entry.path,"text/plain");
+		return fetching.then(function(request){
+			if(request.status<400 && text_checksum(request.responseText)==cached.checksum)
+			{
+				collection.cache_hits+=1;
+				file.fromCorpus(cached);
+				file.info=entry;
+				file._onload();
+				return file;
+			}
+			//the file has changed, so the text that was retrieved for the checksum is parsed
+			collection.cache_misses+=1;
+			file.id=entry.path;
+			var f=file_format(entry.path,format);
+			return load_request(file,entry.path,f,Promise.resolve(xml_request(request,format_mime(f))));
+		},function(){
+			collection.cache_misses+=1;
+			return file.load(entry.path,format);
+		});
+	});
+}
+
+function xml_request(request,mime)
+{
+	if(!/xml/.test(mime) || request.status>=400 || request.responseXML) return request;
+	var xml={status:request.status,responseText:request.responseText,responseXML:null,parseError:null};
+	try{xml.responseXML=TreebankFile.parseXML(request.responseText);}
+	catch(e){xml.parseError=e;}
+	return xml;
+}
+
+/**
+ * This method applies one or more given metrics to all treebank files in this collection. Optionally it can print out the results. The sentences are processed in batches, letting the browser update and checking the signal between them.<br><br>
  * <b>Example:</b><br><font style="font-family:Courier">
- * var t=new TreebankFile();<br>
- * t.onload=function()<br>
- * {<br>
- *		t.apply(metrics,true);<br>
- *	};<br>
- *	t.load('an_xml_file_id');<br></font>
+ * var controller=new AbortController();<br>
+ * c.apply(metrics,{signal:controller.signal,onprogress:function(e){console.log(e.done+'/'+e.total);}}).then(function(results){...});<br></font>
+ * @param metrics A given metric or an array of metrics as NodeMetric object(s), or a MetricSuite.
+ * @param options An optional object with one or more of the following fields: output (a console object for printing out the results), oncomplete (a callback method that is called with the results array when all treebank files have been processed), onprogress (a callback method that is called after each treebank file with a progress event, see below), signal (an AbortSignal that cancels the computation), batchSize (the number of sentences processed at a time, by default TreebankCollection.BATCH_SIZE), table (if true, the results are given as a ResultTable, see toTable()).<br>
+ * The progress event is an object with the fields file (the index of the treebank file that was processed), id (its id), files (the number of treebank files), sentences (the number of sentences of the file), done (the number of sentences processed so far), total (the number of sentences of all files), and elapsed (the time since the start in milliseconds).
+ * @return Promise A promise that is resolved with an array of array of numbers with the values calculated by applying the given metrics to all treebank files in this collection, or with a ResultTable if the option table is true. It is rejected with the reason of the signal (an AbortError) if the computation is cancelled, or with the Error of a metric that fails.
  */
-function TreebankFile()
+TreebankCollection.prototype.apply=function(metrics,options)
 {
-	this.id='';
-	this.xml=null;
-} 
+   
+	var opt=options||{};
+	if(opt.signal && opt.signal.aborted) return Promise.reject(abort_reason(opt.signal));
+	var output=null;
+	var print_flag=false;
+	if(typeof opt.output!=='undefined') {
+		output=opt.output;
+		print_flag=true;
+	}
+	if(output)
+	for(var i=0;i<this.treebank.length;i++)
+	{
+		output.println(" {'"+this.treebank[i].getTitle()+"'}");
+	}
+	
+	var results=new Array(this.treebank.length);
+	
+	if(output)output.getProgress().oneMoreToDo(this.treebank.length);
+	
+	var i=0;
+	var j=0;
+	var batch=opt.batchSize||TreebankCollection.BATCH_SIZE;
+	var self=this;
+	var progress=progress_events(this.treebank,opt.onprogress);
+	return new Promise(function(resolve,reject){
+		//each step processes a batch of sentences of a file, so that a large file can also be cancelled
+		function one_step()
+		{
+			if(opt.signal && opt.signal.aborted) return reject(abort_reason(opt.signal));
+			if(i>=self.treebank.length)
+			{
+				if(opt.table) results=self.toTable(results,metrics);
+				if(opt.oncomplete)opt.oncomplete(results);
+				return resolve(results);
+			}
+			var n=self.treebank[i].getNumOfSentences();
+			if(j==0)
+			{
+				if(output)output.println('% '+self.treebank[i].getTitle()+' ('+self.treebank[i].id+')\n');
+				results[i]=new Array(n);
+			}
+			//results[i]=this.treebank[i].apply(metrics,print_flag);
+		
+			var end=Math.min(n,j+batch);
+			for(;j<end;j++)
+			{
+				var s=self.treebank[i].getSentence(j);
+				results[i][j]=s.apply(metrics,false);
+				if(print_flag) print_sentence_results(output,i,s,results[i][j]);
+			}	
+		
+			if(j>=n)
+			{
+				if(output)output.getProgress().oneMoreDone();
+				progress(i);
+				i++;
+				j=0;
+			}
+			wait_one_step().then(one_step).then(null,reject);
+		}	
+		try{one_step();}
+		catch(e){reject(e);}
+	});
+}
+
+//a function that reports the progress of the i-th treebank file to a callback method
+function progress_events(files,callback)
+{
+	if(!callback) return function(i){};
+	var start=Date.now();
+	var total=0;
+	for(var i=0;i<files.length;i++) total+=files[i].getNumOfSentences();
+	var done=0;
+	return function(i)
+	{
+		var n=files[i].getNumOfSentences();
+		done+=n;
+		callback({file:i,id:files[i].id,files:files.length,sentences:n,done:done,total:total,elapsed:Date.now()-start});
+	};
+}
+
+function abort_reason(signal)
+{
+	if(typeof signal.reason!=='undefined') return signal.reason;
+	var error=new Error('The computation was aborted.');
+	error.name='AbortError';
+	return error;
+}
+
+function print_sentence_results(output,i,sentence,values)
+{
+	var txt=''+(i+1)+' '+sentence.sentence_id;
+	for(var k=0;k<values.length;k++)
+		txt+=' '+values[k].toFixed(2);
+	output.println(txt);
+}
+
+/**
+ * The default number of workers used by applyParallel(). In a browser it is the number of logical processors reported by navigator.hardwareConcurrency; in Node.js (metreex-node.js) it is the number of CPUs.
+ */
+TreebankCollection.WORKERS=(typeof navigator!=='undefined' && navigator.hardwareConcurrency)||2;
+
+/**
+ * The default number of sentences that applyParallel() sends to a worker at a time, and that apply() processes between two checks of its signal.
+ */
+TreebankCollection.BATCH_SIZE=50;
+
+/**
+ * The location of the worker script that is started by createWorker() in a browser.
+ */
+TreebankCollection.WORKER_SCRIPT='js/metreex-worker.js';
+
+/**
+ * This method starts a worker for applyParallel(). By default it starts a Web Worker with the script TreebankCollection.WORKER_SCRIPT; metreex-node.js replaces it with a method that starts a worker thread.
+ * @param onmessage A callback method that is called with each message of the worker.
+ * @param onerror A callback method that is called with an Error if the worker fails.
+ * @param onexit An optional callback method that is called with the exit code if the worker stops by itself, i.e. without terminate() (a worker thread in Node.js can exit, for example, when a suite calls process.exit(); a Web Worker does not report it).
+ * @return Object An object with the methods post(message), which sends a message to the worker, and terminate().
+ */
+TreebankCollection.createWorker=function(onmessage,onerror,onexit)
+{
+	var w=new Worker(TreebankCollection.WORKER_SCRIPT);
+	w.onmessage=function(e){onmessage(e.data);};
+	w.onerror=function(e){onerror(new Error(e.message));};
+	return {post:function(message){w.postMessage(message);},terminate:function(){w.terminate();}};
+};
+
+/**
+ * This method applies one or more given metrics to all treebank files in this collection like apply(), but it spreads the sentences across several workers (Web Workers in a browser, worker threads in Node.js). The sentences are sent to the workers in their compiled form, in batches of consecutive sentences of the same file, and the results are merged back in the original order. The progress and the printed results are reported as in apply(), one file at a time and in order.<br><br>
+ * The metrics are sent to the workers in their serializable form (see NodeMetric.toJSON()). Metrics whose functions refer to variables outside of their body must instead be defined in a suite script, which is loaded in every worker and registers its metrics with NodeMetric.register() (in Node.js the suite can also be a module that exports them, as for the command-line interface). Inside the workers the nodes have no xml elements, so toString() is not available, and getFile() returns a file object with only the fields id and info.
+ * @param metrics A given metric or an array of metrics as NodeMetric object(s), or a MetricSuite.
+ * @param options An optional object with one or more of the following fields: workers (the number of workers, by default TreebankCollection.WORKERS), batchSize (the number of sentences sent at a time, by default TreebankCollection.BATCH_SIZE), suite (the location of a suite script, relative to the worker script, or the path of a module in Node.js), output (a console object for printing out the results), oncomplete (a callback method that is called with the results array), onprogress and signal (as in apply(); the workers are terminated when the signal is aborted), table (if true, the results are given as a ResultTable, see toTable()).
+ * @return Promise A promise that is resolved with an array of array of numbers with the values calculated by applying the given metrics to all treebank files in this collection (or with a ResultTable if the option table is true), or rejected with an Error if a worker fails, or with the reason of the signal if the computation is cancelled.
+ */
+TreebankCollection.prototype.applyParallel=function(metrics,options)
+{
+	var opt=options||{};
+	if(opt.signal && opt.signal.aborted) return Promise.reject(abort_reason(opt.signal));
+	var output=opt.output||null;
+	var m=metric_list(metrics);
+	var self=this;
+	var files=this.treebank;
+	var results=new Array(files.length);
+	var remaining=new Array(files.length);
+	var tasks=new Array();
+	var batch=opt.batchSize||TreebankCollection.BATCH_SIZE;
+	for(var i=0;i<files.length;i++)
+	{
+		var n=files[i].getNumOfSentences();
+		results[i]=new Array(n);
+		remaining[i]=0;
+		for(var j=0;j<n;j+=batch)
+		{
+			tasks.push({file:i,from:j,to:Math.min(n,j+batch)});
+			remaining[i]+=1;
+		}
+	}
+
+	var init={type:'init',metrics:null,suite:null};
+	try
+	{
+		if(opt.suite) init.suite=opt.suite;
+		else init.metrics=m.map(function(metric){return metric.toJSON();});
+	}
+	catch(e){return Promise.reject(e);}
+
+	if(output)
+	{
+		for(var i=0;i<files.length;i++)
+			output.println(" {'"+files[i].getTitle()+"'}");
+		output.getProgress().oneMoreToDo(files.length);
+	}
+
+	var progress=progress_events(files,opt.onprogress);
+	return new Promise(function(resolve,reject){
+		var workers=new Array();
+		var running=0;
+		var next_task=0;
+		var next_file=0;
+		var done=false;
+
+		function abort(){finish(abort_reason(opt.signal));}
+		if(opt.signal) opt.signal.addEventListener('abort',abort);
+
+		function finish(error)
+		{
+			if(done) return;
+			done=true;
+			if(opt.signal) opt.signal.removeEventListener('abort',abort);
+			for(var i=0;i<workers.length;i++) workers[i].terminate();
+			if(error) reject(error);
+			else
+			{
+				if(opt.table) results=self.toTable(results,m);
+				if(opt.oncomplete) opt.oncomplete(results);
+				resolve(results);
+			}
+		}
+
+		//the files are reported in order, as soon as all their sentences are done
+		function report_files()
+		{
+			while(next_file<files.length && remaining[next_file]==0)
+			{
+				if(output)
+				{
+					output.println('% '+files[next_file].getTitle()+' ('+files[next_file].id+')\n');
+					for(var j=0;j<results[next_file].length;j++)
+						print_sentence_results(output,next_file,files[next_file].getSentence(j),results[next_file][j]);
+					output.getProgress().oneMoreDone();
+				}
+				progress(next_file);
+				next_file++;
+			}
+			if(next_file>=files.length) finish(null);
+		}
+
+		function send_task(worker)
+		{
+			if(next_task>=tasks.length) return;
+			var task=tasks[next_task];
+			worker.task=task;
+			var file=files[task.file];
+			var sentences=new Array(task.to-task.from);
+			for(var j=task.from;j<task.to;j++)
+				sentences[j-task.from]=export_tree(file.getSentence(j));
+			worker.post({type:'task',task:next_task,file:{id:file.id,info:file.info},sentences:sentences});
+			next_task++;
+		}
+
+		function start_worker()
+		{
+			var worker=TreebankCollection.createWorker(function(message){
+				if(done) return;
+				if(message.type=='error') return finish(new Error('A worker failed: '+message.message));
+				if(message.type=='ready')
+				{
+					if(message.metrics!=m.length)
+						return finish(new Error('The suite defines '+message.metrics+' metrics instead of '+m.length+'.'));
+				}
+				else if(message.type=='result')
+				{
+					var task=worker.task;
+					worker.task=null;
+					for(var j=0;j<message.results.length;j++)
+						results[task.file][task.from+j]=message.results[j];
+					remaining[task.file]-=1;
+					report_files();
+				}
+				send_task(worker);
+			},function(error){finish(error);},function(code){
+				//the other workers take over the remaining tasks, unless this one had a task or none is left
+				running--;
+				if(worker.task || (running==0 && next_task<tasks.length))
+					finish(new Error('A worker exited with code '+code+' before its tasks were done.'));
+			});
+			running++;
+			workers.push(worker);
+			worker.post(init);
+		}
+
+		report_files();
+		var n=Math.max(1,Math.min(opt.workers||TreebankCollection.WORKERS,tasks.length));
+		for(var i=0;i<n && !done;i++) start_worker();
+	});
+};
+
+var worker_metrics=null;
 
 /**
- * This method returns the title property of this file.
- * @return string The title of this file.
+ * This method handles a message that applyParallel() sent to a worker and returns the reply. It is called by the worker script metreex-worker.js.
+ * @param message The message, either {type:'init'} with the metrics (or a suite that was loaded by the worker script) or {type:'task'} with a batch of compiled sentences.
+ * @return Object The reply, either {type:'ready'} with the number of metrics, {type:'result'} with the results of the sentences, or {type:'error'} with an error message.
  */
-TreebankFile.prototype.getTitle=function()
+TreebankCollection.handleWorkerMessage=function(message)
 {
-	var e=this.xml.getElementsByTagName('field');
-	for(var i=0;i<e.length;i++)
+	try
 	{
-		if(e[i].getAttribute('name')=='title')
-			return e[i].getAttribute('value');
+		if(message.type=='init')
+		{
+			if(message.suite) worker_metrics=NodeMetric.registered;
+			else worker_metrics=message.metrics.map(NodeMetric.fromJSON);
+			return {type:'ready',metrics:worker_metrics.length};
+		}
+		var file=new TreebankFile();
+		file.id=message.file.id;
+		file.info=message.file.info;
+		var results=new Array(message.sentences.length);
+		for(var j=0;j<message.sentences.length;j++)
+			results[j]=import_tree(message.sentences[j],file).apply(worker_metrics,false);
+		return {type:'result',task:message.task,results:results};
+	}
+	catch(e)
+	{
+		return {type:'error',task:message.task,message:e.message};
 	}
-	return '';
 };
 
 /**
- * This method returns the number of sentences in this file.
- * @return number The number of sentences in this file.
+ * The default levels of the hierarchy built by TreebankCollection.aggregate(), given as fields of the metadata of the treebank files (see TreebankFile.getMetadata()).
  */
-TreebankFile.prototype.getNumOfSentences=function()
-{
-	var e=this.xml.getElementsByTagName('sentence');
-	return e.length;
-};
+TreebankCollection.HIERARCHY=['author','work','passage'];
 
 /**
- * This method returns a particular sentence from this file.
- * @param i The sequential number of the sentence in need, starting from 0.
- * @return TreebankSentence The sentence returned as a TreebankSentence object. 
+ * This method groups the results of apply() by the levels of a hierarchy (by default author, work, and passage, as given in the manifest) and aggregates the values of each metric at each level. The result is a tree of ResultGroup objects, whose root contains the whole collection and whose leaves are the sentences.<br><br>
+ * <b>Example:</b><br><font style="font-family:Courier">
+ * c.apply(metrics).then(function(results){<br>
+ * &nbsp;var h=c.aggregate(results,metrics);<br>
+ * &nbsp;console.log(h.find('Lysias').getStat('Percentage of ATR','mean')+' '+h.find('Isocrates').getStat('Percentage of ATR','mean'));<br>
+ * });<br></font>
+ * @param results The results returned by apply() or applyParallel() for this collection, as an array or as a ResultTable.
+ * @param metrics The metrics that were applied, as an array of NodeMetric objects or of their names. It can be omitted if the results are a ResultTable.
+ * @param options An optional object with one or more of the following fields: levels (an array with the levels of the hierarchy, given as names of metadata fields or as functions that receive a TreebankFile and return the name of its group; the default is TreebankCollection.HIERARCHY), weight (either "sentences", which gives the same weight to every sentence, or "words", which weights each sentence by its number of words; the default is "sentences").
+ * @return ResultGroup The root group of the hierarchy.
  */
-TreebankFile.prototype.getSentence=function(i)
+TreebankCollection.prototype.aggregate=function(results,metrics,options)
 {
-	var e=this.xml.getElementsByTagName('sentence');
-	if(i>=e.length) return null;
-	
-	var s=new TreebankSentence();
-	s.sentence_id=e[i].getAttribute('id');
-	s.file=this;
-	s.num=i;
-	var el=e[i];
-	if(el.childNodes.length==1)	s.xml=e[i].childNodes[0];
-	else if(el.childNodes.length>1)
+	if(results instanceof ResultTable)
+	{
+		if(typeof metrics==='undefined' || (metrics!=null && !Array.isArray(metrics) && !(metrics instanceof NodeMetric) && !(metrics instanceof MetricSuite)))
+		{
+			options=metrics;
+			metrics=results.columns;
+		}
+		results=table_to_results(this,results,metrics);
+	}
+	var opt=options||{};
+	var levels=opt.levels||TreebankCollection.HIERARCHY;
+	var by_words=opt.weight=='words';
+	if(typeof opt.weight!=='undefined' && opt.weight!='words' && opt.weight!='sentences')
+		throw new Error('Unknown weight "'+opt.weight+'"; it must be "sentences" or "words".');
+	var m=metric_list(metrics);
+	var names=m.map(function(metric){return metric instanceof NodeMetric?metric.name:''+metric;});
+
+	var title=this.manifest && this.manifest.title?this.manifest.title:'';
+	var root=new ResultGroup('collection',title);
+	for(var i=0;i<this.treebank.length;i++)
 	{
-		var max_n=el.childNodes[0].childNodes.length;
-		var max_e=el.childNodes[0];
-		for(var j=1;j<el.childNodes.length;j++)
+		var t=this.treebank[i];
+		var metadata=t.getMetadata();
+		var group=root;
+		for(var l=0;l<levels.length;l++)
 		{
-			if(el.childNodes[j].childNodes.length>max_n)
+			var level=levels[l];
+			var name=typeof level==='function'?level(t):metadata[level];
+			if(typeof name==='undefined' || name==null) name='';
+			var level_name=typeof level==='function'?'level'+(l+1):level;
+			var child=group.getChild(''+name);
+			if(child==null)
 			{
-				max_n=el.childNodes[j].childNodes.length;
-				max_e=el.childNodes[j];
+				child=new ResultGroup(level_name,''+name);
+				group.children.push(child);
 			}
+			group=child;
+		}
+		for(var j=0;j<results[i].length;j++)
+		{
+			var s=t.getSentence(j);
+			var leaf=new ResultGroup('sentence',s.sentence_id);
+			leaf.files.push(i);
+			leaf.sentence=j;
+			leaf.sentences=1;
+			leaf.words=s.getNumOfWords();
+			leaf.values={};
+			for(var k=0;k<names.length;k++) leaf.values[names[k]]=results[i][j][k];
+			group.children.push(leaf);
 		}
-		s.xml=max_e;
 	}
-	s.calculateIdMap();
-	return s;
+	aggregate_group(root,names,by_words);
+	return root;
+};
+
+//a function that converts a ResultTable back to an array with the values of the given metrics for each sentence of each file
+function table_to_results(collection,table,metrics)
+{
+	var columns=metric_list(metrics).map(function(metric){
+		var k=table.columns.indexOf(metric instanceof NodeMetric?metric.name:''+metric);
+		if(k<0) throw new Error('Unknown metric "'+(metric instanceof NodeMetric?metric.name:metric)+'".');
+		return k;
+	});
+	var index={};
+	var results=new Array(collection.treebank.length);
+	for(var i=0;i<collection.treebank.length;i++)
+	{
+		index[collection.treebank[i].id]=i;
+		results[i]=new Array();
+	}
+	for(var r=0;r<table.rows.length;r++)
+	{
+		var row=table.rows[r];
+		if(typeof index[row.file]==='undefined') throw new Error('The table contains the file '+row.file+', which is not in this collection.');
+		results[index[row.file]][row.sentence]=columns.map(function(k){return row.values[k];});
+	}
+	return results;
+}
+
+function aggregate_group(group,names,by_words)
+{
+	var leaves=new Array();
+	if(group.values!=null) leaves.push(group);
+	for(var i=0;i<group.children.length;i++)
+	{
+		var l=aggregate_group(group.children[i],names,by_words);
+		for(var j=0;j<l.length;j++) leaves.push(l[j]);
+		if(group.values==null)
+		{
+			for(var j=0;j<group.children[i].files.length;j++)
+				if(group.files.indexOf(group.children[i].files[j])<0) group.files.push(group.children[i].files[j]);
+			group.sentences+=group.children[i].sentences;
+			group.words+=group.children[i].words;
+		}
+	}
+	var weights=leaves.map(function(leaf){return by_words?leaf.words:1;});
+	for(var k=0;k<names.length;k++)
+		group.stats[names[k]]=weighted_statistics(leaves.map(function(leaf){return leaf.values[names[k]];}),weights);
+	return leaves;
+}
+
+function weighted_statistics(values,weights)
+{
+	var stats={count:values.length,sum:0,mean:NaN,median:NaN,std:NaN,min:NaN,max:NaN};
+	var total=0;
+	for(var i=0;i<values.length;i++)
+	{
+		stats.sum+=weights[i]*values[i];
+		total+=weights[i];
+		if(i==0 || values[i]<stats.min) stats.min=values[i];
+		if(i==0 || values[i]>stats.max) stats.max=values[i];
+	}
+	if(total<=0) return stats;
+	stats.mean=stats.sum/total;
+	var v=0;
+	for(var i=0;i<values.length;i++) v+=weights[i]*(values[i]-stats.mean)*(values[i]-stats.mean);
+	stats.std=Math.sqrt(v/total);
+	var order=values.map(function(x,i){return i;}).sort(function(a,b){return values[a]-values[b];});
+	var cumulative=0;
+	for(var i=0;i<order.length;i++)
+	{
+		cumulative+=weights[order[i]];
+		if(cumulative*2==total && i+1<order.length)
+		{
+			stats.median=(values[order[i]]+values[order[i+1]])/2;
+			break;
+		}
+		if(cumulative*2>total)
+		{
+			stats.median=values[order[i]];
+			break;
+		}
+	}
+	return stats;
 }
 
 /**
- * This method returns the total number of nodes in this file calculated as the sum of the number of nodes of each sentence in this file.
- * @return number The total number of nodes in this file.
+ * This class is a group of sentences at one level of the hierarchy that is built by TreebankCollection.aggregate(), for example an author, a work, a passage, or a single sentence.
+ * @param level The name of the level (for example "author" or "sentence").
+ * @param name The name of the group (for example "Lysias").
  */
-TreebankFile.prototype.getNumOfNodes=function()
+function ResultGroup(level,name)
 {
-	var n=this.getNumOfSentences();
-	var sum=0;
-	for(var i=0;i<n;i++)
-		sum+=this.getSentence(i).getNumOfNodes();
-		
-	return sum;
+	this.level=level;
+	this.name=name;
+	this.files=new Array();
+	this.sentences=0;
+	this.words=0;
+	this.stats={};
+	this.children=new Array();
+	this.values=null;
+	this.sentence=-1;
+}
+
+/**
+ * This method returns the child group with a given name.
+ * @param name The name of the child group.
+ * @return ResultGroup The child group, or null if there is no such group.
+ */
+ResultGroup.prototype.getChild=function(name)
+{
+	for(var i=0;i<this.children.length;i++)
+		if(this.children[i].name==name) return this.children[i];
+	return null;
 };
 
 /**
- * This method applies one or more given metrics to all sentences in this file. Optionally it can print out the results.
- * @param metrics A given metric or an array of metrics as NodeMetric object(s).
- * @param print An optional boolean flag for printing out the results. The default value is false.
- * @return Array An array of array of numbers with the values calculated by applying the given metrics to all sentences in this file.
+ * This method returns a group below this group, given by the names of the groups at each level.<br><br>
+ * <b>Example:</b> h.find('Lysias','Olympiacus')
+ * @param names One or more names of groups, starting from the level below this group.
+ * @return ResultGroup The group that was found, or null if there is no such group.
  */
-TreebankFile.prototype.apply=function(metrics,print)
+ResultGroup.prototype.find=function()
 {
-	var print_flag=true;
-	if(typeof print!=='undefined') print_flag=print;
-	
-	var n=this.getNumOfSentences();
-	var results=new Array(n);
-	for(var i=0;i<n;i++)
+	var group=this;
+	for(var i=0;i<arguments.length && group!=null;i++)
+		group=group.getChild(arguments[i]);
+	return group;
+};
+
+/**
+ * This method returns an aggregated value of a metric in this group.
+ * @param metric The name of the metric.
+ * @param stat The name of the aggregated value: "count" (the number of sentences), "sum", "mean", "median", "std" (the standard deviation), "min", or "max". The sum, the mean, the median, and the standard deviation are weighted as given to TreebankCollection.aggregate().
+ * @return number The aggregated value.
+ */
+ResultGroup.prototype.getStat=function(metric,stat)
+{
+	if(typeof this.stats[metric]==='undefined') throw new Error('Unknown metric "'+metric+'".');
+	if(typeof this.stats[metric][stat]==='undefined') throw new Error('Unknown statistic "'+stat+'".');
+	return this.stats[metric][stat];
+};
+
+/**
+ * This method labels the results of apply() or applyParallel() and returns them as a ResultTable with one row per sentence and one column per metric. Each row has the fields file (the id of the treebank file), title (the title of the file), sentence_id (the id of the sentence), and sentence (the index of the sentence in the file), and any extra labels that are given.<br><br>
+ * <b>Example:</b> c.toTable(results,metrics,{language:function(t){return t.getLanguage();}}).toCSV()
+ * @param results The results returned by apply() or applyParallel() for this collection.
+ * @param metrics The metrics that were applied, as a NodeMetric object or an array of NodeMetric objects or of their names.
+ * @param labels An optional object whose fields are extra labels of the rows, each given as a function that receives a TreebankFile and returns the value of the label for its sentences. The extra labels follow the title.
+ * @return ResultTable The table of results.
+ */
+TreebankCollection.prototype.toTable=function(results,metrics,labels)
+{
+	var m=metric_list(metrics);
+	var extra=new Array();
+	if(labels) for(var name in labels) extra.push(name);
+	var table=new ResultTable(['file','title'].concat(extra,['sentence_id','sentence']),m.map(function(metric){return metric instanceof NodeMetric?metric.name:''+metric;}));
+	for(var i=0;i<this.treebank.length;i++)
 	{
-		var s=this.getSentence(i);
-		results[i]=s.apply(metrics,false);
-		if(print_flag)
+		var t=this.treebank[i];
+		var row={file:t.id,title:t.getTitle()};
+		for(var k=0;k<extra.length;k++) row[extra[k]]=labels[extra[k]](t);
+		for(var j=0;j<results[i].length;j++)
 		{
-			var txt=''+s.sentence_id;
-			for(var j=0;j<results[i].length;j++)
-				txt+=' '+results[i][j].toFixed(2);
-			output.println(txt);
+			row.sentence_id=t.getSentence(j).sentence_id;
+			row.sentence=j;
+			table.addRow(row,results[i][j]);
 		}
-	}	
-	return results;
-}
+	}
+	return table;
+};
 
 /**
- * This is a callback method that will be called when this treebank file is loaded. It is initially empty.
+ * This class is a table of metric values with labeled rows and columns, as returned by TreebankCollection.toTable() or by TreebankCollection.apply() with the option table. Each row is an object with a field for each label (for example file, title, sentence_id, and sentence) and a field values with an array of numbers, one for each column. The columns are keyed by the names of the metrics.
+ * @param labels An array with the names of the labels of the rows.
+ * @param columns An array with the names of the columns.
  */
-TreebankFile.prototype.onload=function(){};
+function ResultTable(labels,columns)
+{
+	this.labels=labels;
+	this.columns=columns;
+	this.rows=new Array();
+}
 
-TreebankFile.prototype._onload=function(){if(typeof output !=='undefined') output.println('File id='+this.id+' loaded.');this.onload();};
+/**
+ * This method adds a row to this table.
+ * @param labels An object with the labels of the row. Only the fields that are labels of this table are copied.
+ * @param values An array of numbers, one for each column of this table.
+ * @return Object The row that was added.
+ */
+ResultTable.prototype.addRow=function(labels,values)
+{
+	if(values.length!=this.columns.length) throw new Error('The row has '+values.length+' values instead of '+this.columns.length+'.');
+	var row={};
+	for(var i=0;i<this.labels.length;i++) row[this.labels[i]]=labels[this.labels[i]];
+	row.values=values;
+	this.rows.push(row);
+	return row;
+};
 
 /**
- * This method loads a treebank file given as an xml treebank file in the metreex.org database. When the loading is complete the onload() method will be called if it was previously defined.
- * @param string The id of the treebank file to be loaded.
+ * This method returns the number of rows in this table.
+ * @return number The number of rows in this table.
  */
-TreebankFile.prototype.load=function(id)
+ResultTable.prototype.getNumOfRows=function()
 {
-	this.id=id;
-	var self=this;
-	vn.http(id,{mime:"text/xml"}).then(function(request){
-			self.xml=request.responseXML;
-			//console.log(self.id+' '+self.getTitle());
-			self._onload();
-		});
+	return this.rows.length;
 };
 
 /**
- * This class defines and controls the contents of a treebank collection in the metreex.org database.<br><br>
- * <b>Example:</b><br><font style="font-family:Courier">
- * var t=new TreebankCollection();<br>
- * t.onload=function()<br>
- * {<br>
- *		t.apply(metrics,true);<br>
- *	};<br>
- *	t.load('a_collection_id');<br></font>
+ * This method returns the values of a column of this table.
+ * @param name The name of the column.
+ * @return Array An array of numbers with the values of the column, one for each row.
  */
-function TreebankCollection()
+ResultTable.prototype.getColumn=function(name)
 {
-	this.collection='';
-	this.treebank=new Array();
-	this.loading_counter=0;
-}
+	var k=table_column(this,name);
+	return this.rows.map(function(row){return row.values[k];});
+};
 
 /**
- * This is a callback method that will be called when this treebank collection is loaded. It is initially empty.
+ * This method returns a value of this table.
+ * @param i The index of the row, starting from 0.
+ * @param name The name of the column.
+ * @return number The value in the given row and column.
  */
-TreebankCollection.prototype.onload=function(){};
+ResultTable.prototype.getValue=function(i,name)
+{
+	return this.rows[i].values[table_column(this,name)];
+};
 
-TreebankCollection.prototype._onload=function(){
-	//if(typeof output !=='undefined') output.println(this.loading_counter+' treebanks loaded from collection '+this.collection);
-this.onload();};
+function table_column(table,name)
+{
+	var k=table.columns.indexOf(name);
+	if(k<0) throw new Error('Unknown column "'+name+'".');
+	return k;
+}
 
 /**
- * This method loads a treebank collection from the metreex.org database. When the loading is complete the onload() method will be called if it was previously defined.
- * @param string The id of the collection to be loaded.
- */
-TreebankCollection.prototype.load=function(collection)
-{
-	if(typeof collection !=='undefined')
-		this.collection=collection;
-	else this.collection=[
-        'Trees/Demo_AgainstConon_3',
-        'Trees/Demosthenes_Philippic3_1.1-2.1',
-        'Trees/Isocrates_Pace_1.3',
-        'Trees/Isocrates_TrapeziticusVSDioHal.Isocr20',
-        'Trees/Lucian_Zeuxis1a',
-        'Trees/Lucian_Zeuxis1b',
-        'Trees/Lucian_Zeuxis1c',
-        'Trees/Lucian_Zeuxis1d',
-        'Trees/persIsocrates_Pace_2.1',
-        'Trees/Thucydides_Histories_1.118-1.146',
-        'Trees/Aelius_Rome_197_17',
-        'Trees/Aelius_Rome_197_22',
-        'Trees/Aelius_Rome_197_25',
-        'Trees/Aelius_Rome_198_1',
-        'Trees/Demo_AgaianstMeidias69',
-        'Trees/Dio_42_1',
-        'Trees/Dio_42_2',
-        'Trees/Dio_42_2a',
-        'Trees/Dio_42_2b',
-        'Trees/Dion9_DemPhil3_13',
-        'Trees/Isocrates_Pace_1',
-        'Trees/Isocrates_Pace_3.1',
-        'Trees/Lucian Zeuxis',
-        'Trees/Lucian_Zeuxis1',
-        'Trees/Lucian_Zeuxis1e',
-        'Trees/Lucian_Zeuxis1g',
-        'Trees/Lucian_Zeuxis1i',
-        'Trees/Lysias_AgaianstTeisis',
-        'Trees/Lysias_Eratosthenes1a',
-        'Trees/lysias_In Alcibiadem 2',
-        'Trees/Lysias_Olympiacus_3-5',
-        'Trees/Lysias_Olympiacus1',
-        'Trees/Aelius_Rome_197_16',
-        'Trees/Aelius_Rome_197_18',
-        'Trees/Aelius_Rome_198_8',
-        'Trees/Demosthenes_Philippic_3.13',
-        'Trees/Demosthenes_Phillipic1a',
-        'Trees/Dio 42',
-        'Trees/Dionysius_Dem.Phil3_1.1-2.1',
-        'Trees/Isocrates_Pace_2.4',
-        'Trees/Isocrates_Pace_3.3',
-        'Trees/Isocrates_Panegyricus75',
-        'Trees/Lucian_Zeuxis1f',
-        'Trees/Lucian_Zeuxis1h',
-        'Trees/lysias_In Alcibiadem 1',
-        'Trees/lysias_In Pancleonem',
-        'Trees/Lysias_Olympiacus_6-9',
-        'Trees/Lysias_Olympiacus2',
-        'Trees/Thucydides_Histories_1.1-1.88',
-        'Trees/Thucydides_Histories_1.89-1.117',
-        'Trees/treebank_lysias_De caede Eratosthenis',
-        'Trees/Dio_42_2c'
-
-];
-	
-	this.loading_counter=0;
-	
+ * This method returns a new table with some of the rows and columns of this table.<br><br>
+ * <b>Example:</b> table.select(['Percentage of ATR'],{file:'Trees/Lysias_Olympiacus1'})
+ * @param columns An array with the names of the columns to keep, in the order in which they are given, or null to keep all columns.
+ * @param condition An optional condition on the rows to keep: either a function that receives a row and returns true or false, or an object whose fields are labels and the values that the rows must have.
+ * @return ResultTable The new table.
+ */
+ResultTable.prototype.select=function(columns,condition)
+{
 	var self=this;
-	
-		
-		for(var i=0;i<this.collection.length;i++)
+	var names=columns||this.columns;
+	var k=names.map(function(name){return table_column(self,name);});
+	var table=new ResultTable(this.labels.slice(),names.slice());
+	for(var i=0;i<this.rows.length;i++)
+	{
+		var row=this.rows[i];
+		if(typeof condition==='function')
 		{
-			var t=new TreebankFile();
-			t._onload=function()
-			{
-				self.loading_counter+=1;
-				if(self.loading_counter==self.treebank.length)
-					self._onload();
-			};
-			self.treebank.push(t);
-			t.load(this.collection[i]);
+			if(!condition(row)) continue;
 		}
-	
-	
+		else if(condition)
+		{
+			var match=true;
+			for(var field in condition) if(row[field]!=condition[field]) match=false;
+			if(!match) continue;
+		}
+		table.addRow(row,k.map(function(j){return row.values[j];}));
+	}
+	return table;
 };
 
 /**
- * This method applies one or more given metrics to all treebank files in this collection. Optionally it can print out the results.
- * @param metrics A given metric or an array of metrics as NodeMetric object(s).
- * @param options An optional object with one or more of the following fields: output (a console object for printing out the results).
- * @return Array An array of array of numbers with the values calculated by applying the given metrics to all treebank files in this collection.
+ * This method returns a new table that summarizes this table by groups of rows. The rows of the new table are the distinct values of a label of this table (for example the file). If a second label is given, the columns of the new table are its distinct values and the cells are the aggregated values of one metric; otherwise the columns are the metrics of this table and the cells are their aggregated values in each group.<br><br>
+ * <b>Example:</b><br><font style="font-family:Courier">
+ * table.pivot('title',null,null,'median') // the median of every metric in each file<br>
+ * table.pivot('sentence','title','Percentage of ATR') // one row per sentence index and one column per file<br></font>
+ * @param rows The label that gives the rows of the new table, or a function that receives a row and returns its group.
+ * @param columns The label that gives the columns of the new table, or a function that receives a row and returns its column, or null to keep the metrics as columns.
+ * @param metric The name of the metric in the cells of the new table, if the columns are given by a label.
+ * @param stat The aggregated value in the cells: "count", "sum", "mean", "median", "std", "min", or "max", as in ResultGroup.getStat(). The default is "mean".
+ * @return ResultTable The new table, whose only label has the name of the label that gives the rows (or "group" if it is a function).
  */
-TreebankCollection.prototype.apply=function(metrics,options)
+ResultTable.prototype.pivot=function(rows,columns,metric,stat)
 {
-   
-	var opt=options||{};
-	var output=null;
-	var print_flag=false;
-	if(typeof opt.output!=='undefined') {
-		output=opt.output;
-		print_flag=true;
+	var aggregate=stat||'mean';
+	var row_key=typeof rows==='function'?rows:function(row){return row[rows];};
+	var label=typeof rows==='function'?'group':rows;
+	var keys=new Array();
+	var groups={};
+	var names;
+	var cell;
+	if(columns==null)
+	{
+		names=this.columns;
+		cell=function(row,k){return k;};
 	}
-	if(output)
-	for(var i=0;i<this.treebank.length;i++)
+	else
 	{
-		output.println(" {'"+this.treebank[i].getTitle()+"'}");
+		var column_key=typeof columns==='function'?columns:function(row){return row[columns];};
+		var m=table_column(this,metric);
+		names=new Array();
+		for(var i=0;i<this.rows.length;i++)
+		{
+			var name=''+column_key(this.rows[i]);
+			if(names.indexOf(name)<0) names.push(name);
+		}
+		cell=function(row,k){return names[k]==''+column_key(row)?m:-1;};
 	}
-	
-	var results=new Array(this.treebank.length);
-	
-	if(output)output.getProgress().oneMoreToDo(this.treebank.length);
-	
-	var i=0;
-	var self=this;
-	function one_step()
+	for(var i=0;i<this.rows.length;i++)
 	{
-		if(i>=self.treebank.length)return;
-		if(output)output.println('% '+self.treebank[i].getTitle()+' ('+self.treebank[i].id+')\n');
-		//results[i]=this.treebank[i].apply(metrics,print_flag);
-		
-		var n=self.treebank[i].getNumOfSentences();
-		var results2=new Array(n);
-		for(var j=0;j<n;j++)
+		var key=row_key(this.rows[i]);
+		if(!groups.hasOwnProperty(key))
 		{
-			var s=self.treebank[i].getSentence(j);
-			results2[j]=s.apply(metrics,false);
-			if(print_flag)
-			{
-				var txt=''+(i+1)+' '+s.sentence_id;
-				for(var k=0;k<results2[j].length;k++)
-					txt+=' '+results2[j][k].toFixed(2);
-				if(output)output.println(txt);
-			}
-		}	
-		results[i]=results2;
-		
-		i++;
-		if(output)output.getProgress().oneMoreDone();
-		vn.wait().then(one_step);
-	}	
-	one_step();
-	
-	
-	return results;
-}
\ No newline at end of file
+			keys.push(key);
+			groups[key]=names.map(function(){return new Array();});
+		}
+		for(var k=0;k<names.length;k++)
+		{
+			var j=cell(this.rows[i],k);
+			if(j>=0) groups[key][k].push(this.rows[i].values[j]);
+		}
+	}
+	var table=new ResultTable([label],names.slice());
+	for(var i=0;i<keys.length;i++)
+	{
+		var row={};
+		row[label]=keys[i];
+		table.addRow(row,groups[keys[i]].map(function(values){
+			var stats=weighted_statistics(values,values.map(function(){return 1;}));
+			if(typeof stats[aggregate]==='undefined') throw new Error('Unknown statistic "'+aggregate+'".');
+			return stats[aggregate];
+		}));
+	}
+	return table;
+};
+
+/**
+ * This method returns this table as comma-separated values, with a header line and one line per row. The fields that contain commas, quotes, or line breaks are quoted.
+ * @return String The table as CSV.
+ */
+ResultTable.prototype.toCSV=function()
+{
+	return table_lines(this,',',function(value){
+		var txt=''+value;
+		if(/[",\r\n]/.test(txt)) txt='"'+txt.replace(/"/g,'""')+'"';
+		return txt;
+	});
+};
+
+/**
+ * This method returns this table as tab-separated values, with a header line and one line per row. Tabs and line breaks inside the fields are replaced by spaces.
+ * @return String The table as TSV.
+ */
+ResultTable.prototype.toTSV=function()
+{
+	return table_lines(this,'\t',function(value){return (''+value).replace(/[\t\r\n]/g,' ');});
+};
+
+function table_lines(table,separator,field)
+{
+	var lines=[table.labels.concat(table.columns).map(field).join(separator)];
+	for(var i=0;i<table.rows.length;i++)
+	{
+		var row=table.rows[i];
+		lines.push(table.labels.map(function(label){return row[label];}).concat(row.values).map(field).join(separator));
+	}
+	return lines.join('\n')+'\n';
+}
+
+/**
+ * This method returns this table as an array of objects, one for each row, with a field for each label and each column. It is called by JSON.stringify().
+ * @return Array The rows of this table.
+ */
+ResultTable.prototype.toJSON=function()
+{
+	var self=this;
+	return this.rows.map(function(row){
+		var record={};
+		for(var i=0;i<self.labels.length;i++) record[self.labels[i]]=row[self.labels[i]];
+		for(var k=0;k<self.columns.length;k++) record[self.columns[k]]=row.values[k];
+		return record;
+	});
+};
+
+/**
+ * This method returns this table in the ARFF format of Weka. The labels are string attributes (or numeric if all their values are numbers) and the columns are numeric attributes; values that are not numbers are written as missing.
+ * @param relation An optional name of the relation. The default is "metreex".
+ * @return String The table as ARFF.
+ */
+ResultTable.prototype.toARFF=function(relation)
+{
+	var self=this;
+	var numeric=this.labels.map(function(label){
+		for(var i=0;i<self.rows.length;i++) if(typeof self.rows[i][label]!=='number') return false;
+		return self.rows.length>0;
+	});
+	var lines=['@RELATION '+arff_string(relation||'metreex'),''];
+	for(var i=0;i<this.labels.length;i++)
+		lines.push('@ATTRIBUTE '+arff_string(this.labels[i])+(numeric[i]?' NUMERIC':' STRING'));
+	for(var k=0;k<this.columns.length;k++)
+		lines.push('@ATTRIBUTE '+arff_string(this.columns[k])+' NUMERIC');
+	lines.push('');
+	lines.push('@DATA');
+	for(var r=0;r<this.rows.length;r++)
+	{
+		var row=this.rows[r];
+		var fields=this.labels.map(function(label,i){
+			var value=row[label];
+			if(numeric[i]) return ''+value;
+			return typeof value==='undefined' || value==null?'?':arff_string(''+value);
+		});
+		for(var k=0;k<row.values.length;k++)
+			fields.push(typeof row.values[k]==='number' && isFinite(row.values[k])?''+row.values[k]:'?');
+		lines.push(fields.join(','));
+	}
+	return lines.join('\n')+'\n';
+};
+
+function arff_string(txt)
+{
+	return "'"+txt.replace(/\\/g,'\\\\').replace(/'/g,"\\'").replace(/\r?\n/g,'\\n')+"'";
+}
+
+function wait_one_step()
+{
+	if(typeof vn!=='undefined') return vn.wait();
+	return new Promise(function(resolve){setTimeout(resolve,0);});
+}
+
+if(typeof module!=='undefined' && module.exports)
+{
+	module.exports={
+		NodeMetric:NodeMetric,
+		TreebankSentence:TreebankSentence,
+		TreebankFile:TreebankFile,
+		TreebankCollection:TreebankCollection,
+		MetricSuite:MetricSuite,
+		ResultGroup:ResultGroup,
+		ResultTable:ResultTable
+	};
+}
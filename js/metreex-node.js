@@ -0,0 +1,419 @@
+/* Headless loader for metreex-1.2.js
+ *
+ * This module makes the classes of metreex-1.2.js available in Node.js. The
+ * treebank files are read from the local filesystem and parsed by a small XML
+ * parser, which builds the subset of the DOM that the library uses, so the
+ * same TreebankFile, TreebankSentence and NodeMetric code runs without a
+ * browser, without op.n and without network access.
+ *
+ * Example:
+ *   var metreex=require('./js/metreex-node.js');
+ *   var c=new metreex.TreebankCollection();
+ *   c.onload=function(){ c.apply(metrics); };
+ *   c.load(metreex.listDirectory('Trees'));
+ *
+ * Copyright (c) 2015, Eleni Bozia. See metreex-1.2.js for the license.
+ */
+
+var fs=require('fs');
+var os=require('os');
+var path=require('path');
+var worker_threads=require('worker_threads');
+var metreex=require('./metreex-1.2.js');
+
+var base_directory=process.cwd();
+
+//--------------------------------------------------------------------------------------
+/**
+ * This class is a minimal DOM node. Text nodes have nodeType 3, elements have nodeType 1 and documents have nodeType 9.
+ */
+function HeadlessNode(nodeType,nodeName,ownerDocument)
+{
+	this.nodeType=nodeType;
+	this.nodeName=nodeName;
+	this.ownerDocument=ownerDocument;
+	this.parentNode=null;
+	this.childNodes=[];
+}
+
+HeadlessNode.prototype.appendChild=function(node)
+{
+	if(node.parentNode) node.parentNode.removeChild(node);
+	node.parentNode=this;
+	this.childNodes.push(node);
+	touch_document(this);
+	return node;
+};
+
+HeadlessNode.prototype.removeChild=function(node)
+{
+	var i=this.childNodes.indexOf(node);
+	if(i<0) throw new Error('The node to be removed is not a child of this node.');
+	this.childNodes.splice(i,1);
+	node.parentNode=null;
+	touch_document(this);
+	return node;
+};
+
+HeadlessNode.prototype.getElementsByTagName=function(name)
+{
+	var doc=this.nodeType==9?this:this.ownerDocument;
+	if(this._tag_cache_version!==doc._version)
+	{
+		this._tag_cache={};
+		this._tag_cache_version=doc._version;
+	}
+	if(this._tag_cache[name]) return this._tag_cache[name];
+
+	var result=[];
+	var stack=[];
+	for(var i=this.childNodes.length-1;i>=0;i--) stack.push(this.childNodes[i]);
+	while(stack.length>0)
+	{
+		var node=stack.pop();
+		if(node.nodeType!=1) continue;
+		if(name=='*' || node.nodeName==name) result.push(node);
+		for(var i=node.childNodes.length-1;i>=0;i--) stack.push(node.childNodes[i]);
+	}
+	this._tag_cache[name]=result;
+	return result;
+};
+
+Object.defineProperty(HeadlessNode.prototype,'firstChild',{get:function(){
+	return this.childNodes.length>0?this.childNodes[0]:null;
+}});
+
+Object.defineProperty(HeadlessNode.prototype,'textContent',{get:function(){
+	if(this.nodeType==3) return this.data;
+	if(this.nodeType==9) return null;
+	var out='';
+	for(var i=0;i<this.childNodes.length;i++)
+		out+=this.childNodes[i].textContent;
+	return out;
+}});
+
+function touch_document(node)
+{
+	var doc=node.nodeType==9?node:node.ownerDocument;
+	if(doc) doc._version+=1;
+}
+
+/**
+ * This class is a minimal XML document.
+ */
+function HeadlessDocument()
+{
+	HeadlessNode.call(this,9,'#document',null);
+	this._version=0;
+}
+HeadlessDocument.prototype=Object.create(HeadlessNode.prototype);
+HeadlessDocument.prototype.constructor=HeadlessDocument;
+
+Object.defineProperty(HeadlessDocument.prototype,'documentElement',{get:function(){
+	for(var i=0;i<this.childNodes.length;i++)
+		if(this.childNodes[i].nodeType==1) return this.childNodes[i];
+	return null;
+}});
+
+HeadlessDocument.prototype.createElement=function(name)
+{
+	return new HeadlessElement(name,this);
+};
+
+HeadlessDocument.prototype.createTextNode=function(data)
+{
+	return new HeadlessText(data,this);
+};
+
+HeadlessDocument.prototype.importNode=function(node,deep)
+{
+	if(node.nodeType==3) return new HeadlessText(node.data,this);
+	var e=new HeadlessElement(node.nodeName,this);
+	var a=node.attributes;
+	for(var i=0;i<a.length;i++) e.setAttribute(a[i].name,a[i].value);
+	if(deep)
+		for(var i=0;i<node.childNodes.length;i++)
+			if(node.childNodes[i].nodeType==1 || node.childNodes[i].nodeType==3)
+				e.appendChild(this.importNode(node.childNodes[i],true));
+	return e;
+};
+
+/**
+ * This class is a minimal XML element.
+ */
+function HeadlessElement(name,ownerDocument)
+{
+	HeadlessNode.call(this,1,name,ownerDocument);
+	this.tagName=name;
+	this._attributes=Object.create(null);
+}
+HeadlessElement.prototype=Object.create(HeadlessNode.prototype);
+HeadlessElement.prototype.constructor=HeadlessElement;
+
+HeadlessElement.prototype.getAttribute=function(name)
+{
+	if(name in this._attributes) return this._attributes[name];
+	return null;
+};
+
+HeadlessElement.prototype.hasAttribute=function(name)
+{
+	return name in this._attributes;
+};
+
+HeadlessElement.prototype.setAttribute=function(name,value)
+{
+	this._attributes[name]=''+value;
+};
+
+HeadlessElement.prototype.removeAttribute=function(name)
+{
+	delete this._attributes[name];
+};
+
+Object.defineProperty(HeadlessElement.prototype,'attributes',{get:function(){
+	var a=[];
+	for(var name in this._attributes) a.push({name:name,value:this._attributes[name]});
+	return a;
+}});
+
+HeadlessElement.prototype.cloneNode=function(deep)
+{
+	var e=new HeadlessElement(this.nodeName,this.ownerDocument);
+	for(var name in this._attributes) e._attributes[name]=this._attributes[name];
+	if(deep)
+		for(var i=0;i<this.childNodes.length;i++)
+			e.appendChild(this.childNodes[i].cloneNode(true));
+	return e;
+};
+
+/**
+ * This class is a minimal XML text node.
+ */
+function HeadlessText(data,ownerDocument)
+{
+	HeadlessNode.call(this,3,'#text',ownerDocument);
+	this.data=data;
+}
+HeadlessText.prototype=Object.create(HeadlessNode.prototype);
+HeadlessText.prototype.constructor=HeadlessText;
+
+HeadlessText.prototype.cloneNode=function(deep)
+{
+	return new HeadlessText(this.data,this.ownerDocument);
+};
+
+//--------------------------------------------------------------------------------------
+var XML_ENTITIES={lt:'<',gt:'>',amp:'&',quot:'"',apos:"'"};
+
+function decode_entities(text,position,source)
+{
+	if(text.indexOf('&')<0) return text;
+	return text.replace(/&([^;&\s]*);?/g,function(match,name){
+		var code=NaN;
+		if(match.charAt(match.length-1)!=';') code=NaN;
+		else if(name.charAt(0)=='#' && (name.charAt(1)=='x' || name.charAt(1)=='X')) code=parseInt(name.substring(2),16);
+		else if(name.charAt(0)=='#') code=parseInt(name.substring(1),10);
+		else if(name in XML_ENTITIES) return XML_ENTITIES[name];
+		if(isNaN(code)) throw parse_error('undefined or malformed entity "'+match+'"',position,source);
+		return String.fromCodePoint(code);
+	});
+}
+
+function parse_error(message,position,source)
+{
+	var line=1;
+	for(var i=0;i<position && i<source.length;i++)
+		if(source.charCodeAt(i)==10) line+=1;
+	var e=new Error('XML parse error at line '+line+': '+message);
+	e.line=line;
+	return e;
+}
+
+/**
+ * This method parses a string with an XML document and returns a document object that implements the part of the DOM used by metreex (childNodes, getElementsByTagName, getAttribute, hasAttribute, textContent, and documentElement). Like in a browser, the white space between elements is kept as text nodes. It throws an Error with the line number if the document is not well-formed.
+ * @param text The XML document given as a string.
+ * @return HeadlessDocument The parsed document.
+ */
+function parseXML(text)
+{
+	var doc=new HeadlessDocument();
+	var stack=[doc];
+	var tag_re=/<([^\s\/>!?]+)((?:\s+[^\s=\/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/y;
+	var attr_re=/([^\s=\/>]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+	var pos=0;
+	if(text.charCodeAt(0)==0xFEFF) pos=1;
+
+	while(pos<text.length)
+	{
+		var top=stack[stack.length-1];
+		var lt=text.indexOf('<',pos);
+		if(lt<0) lt=text.length;
+		if(lt>pos)
+		{
+			var data=text.substring(pos,lt);
+			if(top===doc)
+			{
+				if(/\S/.test(data)) throw parse_error('text outside of the root element',pos,text);
+			}
+			else top.appendChild(doc.createTextNode(decode_entities(data,pos,text)));
+			pos=lt;
+			continue;
+		}
+
+		var end;
+		if(text.startsWith('<!--',pos))
+		{
+			end=text.indexOf('-->',pos+4);
+			if(end<0) throw parse_error('unterminated comment',pos,text);
+			pos=end+3;
+		}
+		else if(text.startsWith('<![CDATA[',pos))
+		{
+			end=text.indexOf(']]>',pos+9);
+			if(end<0) throw parse_error('unterminated CDATA section',pos,text);
+			if(top===doc) throw parse_error('CDATA section outside of the root element',pos,text);
+			top.appendChild(doc.createTextNode(text.substring(pos+9,end)));
+			pos=end+3;
+		}
+		else if(text.startsWith('<?',pos))
+		{
+			end=text.indexOf('?>',pos+2);
+			if(end<0) throw parse_error('unterminated processing instruction',pos,text);
+			pos=end+2;
+		}
+		else if(text.startsWith('<!',pos))
+		{
+			var subset=text.indexOf('[',pos);
+			end=text.indexOf('>',pos);
+			if(subset>=0 && subset<end) end=text.indexOf(']>',subset)+1;
+			if(end<=0) throw parse_error('unterminated declaration',pos,text);
+			pos=end+1;
+		}
+		else if(text.startsWith('</',pos))
+		{
+			end=text.indexOf('>',pos);
+			if(end<0) throw parse_error('unterminated end tag',pos,text);
+			var name=text.substring(pos+2,end).trim();
+			if(top===doc || top.nodeName!=name)
+				throw parse_error('unexpected end tag </'+name+'>',pos,text);
+			stack.pop();
+			pos=end+1;
+		}
+		else
+		{
+			tag_re.lastIndex=pos;
+			var m=tag_re.exec(text);
+			if(!m) throw parse_error('malformed start tag',pos,text);
+			if(top===doc && doc.documentElement) throw parse_error('more than one root element',pos,text);
+			var e=doc.createElement(m[1]);
+			var a;
+			attr_re.lastIndex=0;
+			while((a=attr_re.exec(m[2]))!==null)
+			{
+				if(e.hasAttribute(a[1])) throw parse_error('duplicate attribute "'+a[1]+'"',pos,text);
+				var value=typeof a[2]!=='undefined'?a[2]:a[3];
+				e.setAttribute(a[1],decode_entities(value.replace(/[\t\n\r]/g,' '),pos,text));
+			}
+			top.appendChild(e);
+			if(m[3]!='/') stack.push(e);
+			pos=tag_re.lastIndex;
+		}
+	}
+	if(stack.length>1) throw parse_error('unclosed element <'+stack[stack.length-1].nodeName+'>',text.length,text);
+	if(!doc.documentElement) throw parse_error('no root element',text.length,text);
+	return doc;
+}
+
+//--------------------------------------------------------------------------------------
+/**
+ * This method sets the directory against which relative treebank paths are resolved. It is initially the current working directory of the process.
+ * @param dir The path of the directory.
+ */
+function setBaseDirectory(dir)
+{
+	base_directory=path.resolve(dir);
+}
+
+/**
+ * This method returns the paths of all treebank files in a directory, sorted by name. Hidden files and subdirectories are skipped.
+ * @param dir The path of the directory.
+ * @return Array An array of file paths that can be given to TreebankCollection.load().
+ */
+function listDirectory(dir)
+{
+	var full=path.resolve(base_directory,dir);
+	var names=fs.readdirSync(full).filter(function(name){
+		return name.charAt(0)!='.' && fs.statSync(path.join(full,name)).isFile();
+	}).sort();
+	return names.map(function(name){return path.join(dir,name);});
+}
+
+metreex.TreebankFile.fetch=function(id,mime)
+{
+	var file=path.resolve(base_directory,id);
+	return new Promise(function(resolve,reject){
+		fs.readFile(file,'utf8',function(err,text){
+			if(err) return reject(err);
+			var request={status:200,responseText:text,responseXML:null,parseError:null};
+			if(/xml/.test(mime))
+			{
+				try{request.responseXML=parseXML(text);}
+				catch(e){request.parseError=e;}
+			}
+			resolve(request);
+		});
+	});
+};
+
+metreex.TreebankFile.createDocument=function()
+{
+	return new HeadlessDocument();
+};
+
+metreex.TreebankFile.parseXML=parseXML;
+
+metreex.TreebankCollection.WORKERS=os.cpus().length;
+
+metreex.TreebankCollection.createWorker=function(onmessage,onerror,onexit)
+{
+	var w=new worker_threads.Worker(path.join(__dirname,'metreex-worker.js'));
+	var terminated=false;
+	w.on('message',onmessage);
+	w.on('error',onerror);
+	w.on('exit',function(code){if(!terminated && onexit) onexit(code);});
+	return {post:function(message){w.postMessage(message);},terminate:function(){terminated=true;w.terminate();}};
+};
+
+metreex.TreebankCollection.storeCorpus=function(id,text)
+{
+	var file=path.resolve(base_directory,id);
+	return new Promise(function(resolve,reject){
+		fs.writeFile(file,text,'utf8',function(err){
+			if(err) return reject(err);
+			resolve();
+		});
+	});
+};
+
+//the library prints its progress to the global output object, which is silent by default so that standard output stays clean
+if(typeof global.output==='undefined')
+{
+	global.output={
+		println:function(txt){},
+		getProgress:function(){return {oneMoreToDo:function(){},oneMoreDone:function(){}};}
+	};
+}
+
+module.exports={
+	NodeMetric:metreex.NodeMetric,
+	MetricSuite:metreex.MetricSuite,
+	TreebankSentence:metreex.TreebankSentence,
+	TreebankFile:metreex.TreebankFile,
+	TreebankCollection:metreex.TreebankCollection,
+	ResultGroup:metreex.ResultGroup,
+	ResultTable:metreex.ResultTable,
+	parseXML:parseXML,
+	setBaseDirectory:setBaseDirectory,
+	listDirectory:listDirectory
+};
@@ -0,0 +1,49 @@
+/* Worker script of metreex-1.2.js
+ *
+ * TreebankCollection.applyParallel() starts this script as a Web Worker in a
+ * browser and as a worker thread in Node.js. Each worker receives the metrics
+ * (or the location of a suite script that registers them) and batches of
+ * compiled sentences, and replies with the results of the metrics. The
+ * messages are handled by TreebankCollection.handleWorkerMessage().
+ *
+ * Copyright (c) 2015, Eleni Bozia. See metreex-1.2.js for the license.
+ */
+
+if(typeof importScripts==='function')
+{
+	importScripts('metreex-1.2.js');
+	self.onmessage=function(e)
+	{
+		var message=e.data;
+		if(message.type=='init' && message.suite)
+		{
+			try{importScripts(message.suite);}
+			catch(error){self.postMessage({type:'error',message:error.message});return;}
+		}
+		self.postMessage(TreebankCollection.handleWorkerMessage(message));
+	};
+}
+else
+{
+	var worker_threads=require('worker_threads');
+	var metreex=require('./metreex-node.js');
+
+	worker_threads.parentPort.on('message',function(message){
+		if(message.type=='init' && message.suite)
+		{
+			try
+			{
+				//a suite module may also export its metrics, as for the command-line interface
+				var suite=require(message.suite);
+				if(typeof suite==='function') suite=suite(metreex);
+				if(suite instanceof metreex.NodeMetric || suite instanceof metreex.MetricSuite || Array.isArray(suite)) metreex.NodeMetric.register(suite);
+			}
+			catch(error)
+			{
+				worker_threads.parentPort.postMessage({type:'error',message:error.message});
+				return;
+			}
+		}
+		worker_threads.parentPort.postMessage(metreex.TreebankCollection.handleWorkerMessage(message));
+	});
+}
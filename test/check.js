@@ -0,0 +1,222 @@
+#!/usr/bin/env node
+/* Checks of metreex
+ *
+ * Usage:
+ *   node test/check.js
+ *
+ * Runs a few checks of the numerical code and of the importers on the treebank
+ * files of this repository, prints one line per check, and exits with the code
+ * 1 if any check fails.
+ *
+ * Copyright (c) 2015, Eleni Bozia. See js/metreex-1.2.js for the license.
+ */
+
+var assert=require('assert');
+var fs=require('fs');
+var os=require('os');
+var path=require('path');
+var metreex=require('../js/metreex-node.js');
+
+var NodeMetric=metreex.NodeMetric;
+
+metreex.setBaseDirectory(path.join(__dirname,'..'));
+
+var checks=new Array();
+
+function check(name,run)
+{
+	checks.push({name:name,run:run});
+}
+
+var FAMILIES=[NodeMetric.HAAR,NodeMetric.DAUBECHIES4,NodeMetric.RICKER,NodeMetric.LEGENDRE,NodeMetric.FOURIER];
+
+check('the Daubechies, Legendre, and Fourier wavelets are orthonormal',function(){
+	var lengths=[1,2,3,4,7,8,16,23,64];
+	for(var i=0;i<lengths.length;i++)
+	{
+		var db4=NodeMetric.checkOrthonormality(NodeMetric.DAUBECHIES4,lengths[i],[-1,0,1,2,3]);
+		assert.ok(db4.orthonormal,'db4 at length '+lengths[i]+': '+JSON.stringify(db4));
+		var legendre=NodeMetric.checkOrthonormality(NodeMetric.LEGENDRE,lengths[i],[0,1,2,3]);
+		assert.ok(legendre.orthonormal,'legendre at length '+lengths[i]+': '+JSON.stringify(legendre));
+		var fourier=NodeMetric.checkOrthonormality(NodeMetric.FOURIER,lengths[i],[0,1,2,3]);
+		assert.ok(fourier.orthonormal,'fourier at length '+lengths[i]+': '+JSON.stringify(fourier));
+	}
+});
+
+check('a MetricSuite can be built for every family with the default orders',function(){
+	var base=NodeMetric.create(['Percentage of ATR']);
+	for(var i=0;i<FAMILIES.length;i++)
+	{
+		var position=new metreex.MetricSuite(base,{family:FAMILIES[i]});
+		var depth=new metreex.MetricSuite(base,{family:FAMILIES[i],axis:'depth'});
+		assert.ok(position.getNumOfMetrics()>1,FAMILIES[i]);
+		assert.strictEqual(depth.getNumOfMetrics(),position.getNumOfMetrics(),FAMILIES[i]);
+	}
+	assert.throws(function(){new metreex.MetricSuite(base,{family:NodeMetric.LEGENDRE,orders:[-1]});},/at least 0/);
+});
+
+var FILES=['Trees/Lucian_Zeuxis1f','Trees/Lucian_Zeuxis1g','Trees/Dio_42_2c'];
+
+check('a corpus gives the same results as its treebank files and its version is checked',function(){
+	var metrics=NodeMetric.create(['Percentage of ATR','Height']);
+	var c=new metreex.TreebankCollection();
+	return c.load(FILES).then(function(){
+		return c.apply(metrics);
+	}).then(function(expected){
+		var corpus=JSON.parse(JSON.stringify(c.toCorpus()));
+		var copy=new metreex.TreebankCollection().fromCorpus(corpus);
+		return copy.apply(metrics).then(function(results){
+			assert.deepStrictEqual(results,expected);
+			corpus.version=metreex.TreebankCollection.CORPUS_VERSION+1;
+			assert.throws(function(){new metreex.TreebankCollection().fromCorpus(corpus);},/unsupported corpus version/);
+		});
+	});
+});
+
+check('the virtual root is added only to the sentences with more than one top-level word',function(){
+	var metrics=NodeMetric.create(['Height','Percentage of ATR']);
+	var c=new metreex.TreebankCollection();
+	return c.load(FILES).then(function(){
+		var single=0,several=0;
+		for(var i=0;i<c.treebank.length;i++)
+		{
+			var t=c.treebank[i];
+			for(var j=0;j<t.getNumOfSentences();j++)
+			{
+				t.setRootPolicy(metreex.TreebankFile.LARGEST_ROOT);
+				var largest=t.getSentence(j);
+				t.setRootPolicy(metreex.TreebankFile.VIRTUAL_ROOT);
+				var virtual=t.getSentence(j);
+				if(virtual.isVirtualRoot())
+				{
+					several+=1;
+					assert.strictEqual(virtual.getId(),0);
+				}
+				else
+				{
+					single+=1;
+					for(var k=0;k<metrics.length;k++)
+						assert.strictEqual(metrics[k].apply(virtual),metrics[k].apply(largest),t.id+' sentence '+j);
+				}
+			}
+		}
+		assert.ok(single>0 && several>0,single+' single, '+several+' several');
+	});
+});
+
+//the shape of the trees of a file: the id, parent, relation, and insertion_id of each word
+function tree_signature(file)
+{
+	var out=new Array();
+	var e=file.xml.getElementsByTagName('word');
+	for(var i=0;i<e.length;i++)
+	{
+		var p=e[i].parentNode;
+		out.push([e[i].getAttribute('id'),p.nodeName=='word'?p.getAttribute('id'):'',e[i].getAttribute('relation'),e[i].getAttribute('insertion_id')||''].join('/'));
+	}
+	return out;
+}
+
+//a promise of a file written to the temporary directory and loaded in a given format
+function load_text(name,text,format)
+{
+	var id=path.join(os.tmpdir(),'metreex-check-'+process.pid+'-'+name);
+	fs.writeFileSync(id,text);
+	var t=new metreex.TreebankFile();
+	var done=function(){fs.unlinkSync(id);};
+	return t.load(id,format).then(function(){done();return t;},function(e){done();throw e;});
+}
+
+check('the CoNLL-U export can be loaded again without loss and has one root per sentence',function(){
+	var c=new metreex.TreebankCollection();
+	return c.load(FILES).then(function(){
+		return Promise.all(c.treebank.map(function(t,i){
+			var text=t.toCoNLLU();
+			var sentences=text.split('\n\n').filter(function(s){return s.trim()!='';});
+			for(var j=0;j<sentences.length;j++)
+			{
+				var roots=sentences[j].split('\n').filter(function(line){var c=line.split('\t');return c.length==10 && c[6]=='0';});
+				assert.strictEqual(roots.length,1,t.id+' sentence '+j);
+			}
+			return load_text(i+'.conllu',text,'conllu').then(function(u){
+				assert.deepStrictEqual(tree_signature(u),tree_signature(t),t.id);
+			});
+		}));
+	});
+});
+
+var PROIEL_SAMPLE=[
+	'<?xml version="1.0" encoding="UTF-8"?>',
+	'<proiel export-time="2015-01-01T00:00:00+00:00" schema-version="2.0">',
+	'<annotation/>',
+	'<source id="t" language="grc">',
+	'<title>T</title>',
+	'<div>',
+	'<title>1</title>',
+	'<sentence id="1" status="reviewed">',
+	'<token id="1" form="Πέρσαι" lemma="Πέρσης" part-of-speech="Ne" morphology="-p---mn--i" head-id="3" relation="sub" presentation-after=" "/>',
+	'<token id="2" form="σοφοί" lemma="σοφός" part-of-speech="A-" morphology="-p---mn--i" head-id="3" relation="xobj" presentation-after=". "/>',
+	'<token id="3" empty-token-sort="V" relation="pred"/>',
+	'</sentence>',
+	'</div>',
+	'</source>',
+	'</proiel>'
+].join('\n');
+
+check('the PROIEL importer maps the relations onto AGDT and marks the final punctuation as AuxK when an empty token follows',function(){
+	return load_text('proiel.xml',PROIEL_SAMPLE).then(function(t){
+		assert.deepStrictEqual(tree_signature(t),['3//AuxK/','4//PRED/0002e','1/4/SBJ/','2/4/OBJ/']);
+	});
+});
+
+check('the Haar decomposition gives the wavelet metrics and can be inverted',function(){
+	var t=new metreex.TreebankFile();
+	return t.load('Trees/Dion9_DemPhil3_13').then(function(){
+		for(var j=0;j<t.getNumOfSentences();j++)
+		{
+			var s=t.getSentence(j);
+			var p=NodeMetric.create('Percentage of ATR').decompose(s);
+			assert.ok(p.exact,t.id+' sentence '+j);
+			var values=NodeMetric.reconstruct(p);
+			for(var i=0;i<values.length;i++) assert.ok(Math.abs(values[i]-p.values[i])<1e-9,t.id+' sentence '+j+' position '+p.positions[i]);
+			for(var n=-1;n<=p.order;n++)
+				for(var k=0;k<Math.max(1,Math.pow(2,n));k++)
+				{
+					var m=NodeMetric.create('Percentage of ATR');
+					m.setWaveletWeights(n,k);
+					var coefficient=n<0?p.scaling:p.details[n][k];
+					assert.ok(Math.abs(m.apply(s)-coefficient)<1e-9,t.id+' sentence '+j+' W'+n+','+k);
+				}
+		}
+	});
+});
+
+check('applyParallel gives the same results as apply',function(){
+	var metrics=NodeMetric.create(['Percentage of ATR','Height']);
+	var c=new metreex.TreebankCollection();
+	return c.load(FILES).then(function(){
+		return Promise.all([c.apply(metrics),c.applyParallel(metrics,{workers:2})]);
+	}).then(function(results){
+		assert.deepStrictEqual(results[1],results[0]);
+	});
+});
+
+function run(i,failed)
+{
+	if(i>=checks.length)
+	{
+		console.log((checks.length-failed)+' of '+checks.length+' checks passed');
+		if(failed>0) process.exitCode=1;
+		return;
+	}
+	new Promise(function(resolve){resolve(checks[i].run());}).then(function(){
+		console.log('ok - '+checks[i].name);
+		return failed;
+	},function(e){
+		console.log('not ok - '+checks[i].name+': '+e.message);
+		return failed+1;
+	}).then(function(f){run(i+1,f);});
+}
+
+output.println=function(){};
+run(0,0);